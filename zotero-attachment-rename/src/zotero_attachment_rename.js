@@ -1,13 +1,224 @@
 (async function() {
     const startTime = performance.now();
 
+    // Change journal: attachment titles and filenames before and after each rename, so files can be
+    // renamed back. Runs of the other editing scripts in the same file are left alone.
+    const JOURNAL_FILE = 'change-journal.json';
+    const JOURNAL_VERSION = 1;
+    const JOURNAL_MAX_RUNS = 50;
+    const JOURNAL_SCRIPT = "Attachment Rename";
+
+    function getJournalFilePath() {
+        return PathUtils.join(Zotero.DataDirectory.dir, JOURNAL_FILE);
+    }
+
+    // Returns null if the journal cannot be read or has a format this script does not know,
+    // so that it is never overwritten
+    async function loadJournal() {
+        const path = getJournalFilePath();
+        try {
+            if (!(await IOUtils.exists(path))) return { version: JOURNAL_VERSION, runs: [] };
+            const journal = JSON.parse(await Zotero.File.getContentsAsync(path));
+            if (journal.version !== JOURNAL_VERSION || !Array.isArray(journal.runs)) {
+                console.error(`The change journal ${path} has format version ${journal.version}; this script reads version ${JOURNAL_VERSION}`);
+                return null;
+            }
+            return journal;
+        } catch (error) {
+            console.error(`Could not read the change journal ${path}: ${error.message}`);
+            return null;
+        }
+    }
+
+    async function saveJournal(journal) {
+        await Zotero.File.putContentsAsync(getJournalFilePath(), JSON.stringify(journal, null, 2));
+    }
+
+    // Run IDs are never reused, so an undo run keeps pointing at the run it undid
+    function addJournalRun(journal, run) {
+        run.id = Math.max(journal.lastRunID || 0, ...journal.runs.map(r => r.id)) + 1;
+        journal.lastRunID = run.id;
+        journal.runs.push(run);
+        journal.runs = journal.runs.slice(-JOURNAL_MAX_RUNS);
+    }
+
+    // A run collects the changes of one operation; it is written when saveJournalRun is called
+    function startJournalRun(description) {
+        return { script: JOURNAL_SCRIPT, description, date: new Date().toISOString(), changes: [] };
+    }
+
+    // parts: { fields: [names], filename }
+    function captureItemState(item, parts) {
+        const state = {};
+        if (parts.fields) {
+            state.fields = {};
+            for (const fieldName of parts.fields) {
+                state.fields[fieldName] = item.getField(fieldName) || "";
+            }
+        }
+        if (parts.filename) {
+            state.filename = item.attachmentFilename;
+        }
+        return state;
+    }
+
+    function getStateParts(state) {
+        return {
+            fields: state.fields ? Object.keys(state.fields) : null,
+            filename: 'filename' in state
+        };
+    }
+
+    function recordJournalChange(run, item, before) {
+        const after = captureItemState(item, getStateParts(before));
+        if (JSON.stringify(before) !== JSON.stringify(after)) {
+            run.changes.push({ libraryID: item.libraryID, key: item.key, before, after });
+        }
+    }
+
+    async function saveJournalRun(run) {
+        if (!run.changes.length) return;
+        try {
+            const journal = await loadJournal();
+            if (!journal) {
+                throw new Error(`${getJournalFilePath()} could not be read or has a newer format`);
+            }
+            addJournalRun(journal, run);
+            await saveJournal(journal);
+            console.log(`Recorded ${run.changes.length} change(s) as run ${run.id} in ${getJournalFilePath()}`);
+        } catch (error) {
+            console.error(`Could not write the change journal: ${error.message}`);
+            alert(`The changes were made, but could not be recorded for undo: ${error.message}`);
+        }
+    }
+
+    function formatJournalRun(run) {
+        const date = new Date(run.date).toLocaleString();
+        return `${run.id}. ${date} - ${run.description} (${run.changes.length} item(s))`;
+    }
+
+    async function restoreItemState(item, state) {
+        if (state.fields) {
+            for (const [fieldName, value] of Object.entries(state.fields)) {
+                item.setField(fieldName, value);
+            }
+        }
+        await item.saveTx();
+
+        if (state.filename && item.attachmentFilename !== state.filename) {
+            const renamed = await item.renameAttachmentFile(state.filename, false, true);
+            if (renamed !== true) {
+                throw new Error(`Could not rename the file back to "${state.filename}" (${renamed})`);
+            }
+        }
+    }
+
+    // Undo the last run of this script, or the run the user picks; items changed again since the run
+    // are only restored after confirmation. Changes that cannot be undone stay in the journal. The undo
+    // is recorded as a run of its own, so it can be undone in turn.
+    async function undoJournalRun() {
+        const journal = await loadJournal();
+        if (!journal) {
+            alert(`The change journal ${getJournalFilePath()} could not be read, or was written in a newer format. Nothing was undone.`);
+            return;
+        }
+
+        const scriptRuns = journal.runs.filter(r => r.script === JOURNAL_SCRIPT);
+        if (!scriptRuns.length) {
+            alert(`There are no recorded ${JOURNAL_SCRIPT} changes to undo.`);
+            return;
+        }
+
+        const recentRuns = scriptRuns.slice(-15).reverse();
+        const lastRun = recentRuns[0];
+        const runChoice = prompt(`Recent ${JOURNAL_SCRIPT} runs (newest first):\n\n${recentRuns.map(formatJournalRun).join('\n')}\n\nEnter the number of the run to undo (default: the last run):`, String(lastRun.id));
+        if (runChoice === null) return;
+
+        const run = scriptRuns.find(r => r.id === parseInt(runChoice, 10));
+        if (!run) {
+            alert(`There is no ${JOURNAL_SCRIPT} run ${runChoice} in the change journal.`);
+            return;
+        }
+
+        // An item changed more than once in the run is compared with its last change only
+        const lastChanges = new Map(run.changes.map(change => [`${change.libraryID}/${change.key}`, change]));
+        const changes = [];
+        const changedSince = [];
+        let missingCount = 0;
+        for (const change of run.changes) {
+            const item = await Zotero.Items.getByLibraryAndKeyAsync(change.libraryID, change.key);
+            if (!item) {
+                missingCount++;
+                continue;
+            }
+            changes.push({ change, item });
+            if (lastChanges.get(`${change.libraryID}/${change.key}`) !== change) continue;
+            const current = captureItemState(item, getStateParts(change.after));
+            if (JSON.stringify(current) !== JSON.stringify(change.after)) {
+                changedSince.push(item);
+            }
+        }
+
+        let confirmationMessage = `Undo run ${run.id}?\n\n${formatJournalRun(run)}\n\n${changes.length} item(s) will be restored to their previous values.`;
+        if (missingCount) {
+            confirmationMessage += `\n${missingCount} item(s) no longer exist and will be skipped.`;
+        }
+        if (!confirm(confirmationMessage)) return;
+
+        let restoreChangedSince = true;
+        if (changedSince.length) {
+            restoreChangedSince = confirm(`${changedSince.length} item(s) were changed again after this run.\n\nPress OK to restore them anyway (later changes to the same values are lost), or Cancel to leave them as they are.`);
+        }
+
+        const undoRun = startJournalRun(`Undo of run ${run.id}: ${run.description}`);
+        undoRun.undoneRunID = run.id;
+        const remainingChanges = [];
+        let restoredCount = 0;
+        // Restore in reverse order, in case a run changed the same item more than once
+        for (const { change, item } of changes.reverse()) {
+            if (!restoreChangedSince && changedSince.includes(item)) {
+                remainingChanges.unshift(change);
+                continue;
+            }
+            try {
+                const before = captureItemState(item, getStateParts(change.before));
+                await restoreItemState(item, change.before);
+                recordJournalChange(undoRun, item, before);
+                restoredCount++;
+            } catch (error) {
+                console.error(`Could not restore item ${item.id}: ${error.message}`);
+                remainingChanges.unshift(change);
+            }
+        }
+
+        // Undone changes leave the run; the undo itself is added as a new run
+        const currentJournal = await loadJournal();
+        if (currentJournal) {
+            const journalRun = currentJournal.runs.find(r => r.id === run.id);
+            if (journalRun) {
+                journalRun.changes = remainingChanges;
+            }
+            currentJournal.runs = currentJournal.runs.filter(r => r.changes.length);
+            if (undoRun.changes.length) {
+                addJournalRun(currentJournal, undoRun);
+            }
+            try {
+                await saveJournal(currentJournal);
+            } catch (error) {
+                console.error(`Could not write the change journal: ${error.message}`);
+            }
+        }
+
+        alert(`Run ${run.id} undone: ${restoredCount} item(s) restored.${remainingChanges.length ? `\n\n${remainingChanges.length} item(s) were not restored and remain in the change journal.` : ''}${undoRun.id ? `\n\nThe undo was recorded as run ${undoRun.id}, so it can be undone as well.` : ''}`);
+    }
+
     try {
         const zoteroPane = Zotero.getActiveZoteroPane();
 
         // Function to get a valid input for the scope of items to rename
         async function getValidEditOption() {
             while (true) {
-                const editOption = prompt("Enter '1' to rename only selected items, '2' to rename all items in the current collection, or '3' to rename all items in a saved search:");
+                const editOption = prompt("Enter '1' to rename only selected items, '2' to rename all items in the current collection, '3' to rename all items in a saved search, or '4' to undo a previous run:");
 
                 // Sanitize the user input
                 const sanitizedEditOption = editOption ? editOption.trim() : null;
@@ -17,10 +228,10 @@
                     return null;
                 }
 
-                if (['1', '2', '3'].includes(sanitizedEditOption)) {
+                if (['1', '2', '3', '4'].includes(sanitizedEditOption)) {
                     return sanitizedEditOption;
                 } else {
-                    alert(`Invalid option: "${sanitizedEditOption}". Please enter '1', '2', or '3'.`);
+                    alert(`Invalid option: "${sanitizedEditOption}". Please enter '1', '2', '3', or '4'.`);
                 }
             }
         }
@@ -49,6 +260,11 @@
         const editOption = await getValidEditOption();
         logTime("Time to get valid edit option", performance.now() - startTime);
 
+        if (editOption === '4') {
+            await undoJournalRun();
+            return;
+        }
+
         // Retrieve items based on user selection
         const itemsToRename = await getItemsToEdit(editOption, zoteroPane);
         if (!itemsToRename || !itemsToRename.length) {
@@ -81,6 +297,8 @@
         }
         console.log(confirmationMessage);
 
+        const journalRun = startJournalRun(`Rename attachment ${renameOption === '1' ? 'filenames' : renameOption === '2' ? 'titles' : 'filenames and titles'} from parent metadata`);
+
         for (const item of parentItems) {
             if (stopProcessing) {
                 console.log("Processing stopped by the user.");
@@ -97,14 +315,16 @@
                         const originalPath = await childItem.getFilePathAsync();
                         if (renameOption !== '2' && originalPath) { // Rename filename if the option is not '2'
                             originalNames.set(childItem.id, originalPath);
-                            batchRenamePromises.push(renameAttachment(childItem, originalNames, failedItems, renameOption, stopProcessingCallback));
+                            batchRenamePromises.push(renameAttachment(childItem, originalNames, failedItems, renameOption, stopProcessingCallback, journalRun));
                         } else {
                             // Change title regardless of the file presence
                             if (renameOption !== '1') {
                                 const parentItem = await Zotero.Items.getAsync(childItem.parentItemID);
                                 const newTitle = Zotero.Attachments.getFileBaseNameFromItem(parentItem);
+                                const before = captureItemState(childItem, { fields: ['title'] });
                                 childItem.setField('title', newTitle);
                                 await childItem.saveTx();
+                                recordJournalChange(journalRun, childItem, before);
                                 console.log(`Updated title of item ${childItem.id}: "${newTitle}"`);
                             }
                         }
@@ -123,10 +343,14 @@
             const rollbackConfirmed = confirm("An error occurred during renaming. Do you want to rollback changes? Click 'OK' for full rollback or 'Cancel' for partial rollback.");
             if (rollbackConfirmed) {
                 await rollbackRenaming(originalNames);
+                // Only the title changes of attachments without a file are left to record
+                dropRolledBackChanges(journalRun, [...originalNames.keys()]);
             } else {
                 await partialRollbackRenaming(failedItems, originalNames);
+                dropRolledBackChanges(journalRun, failedItems);
             }
         }
+        await saveJournalRun(journalRun);
     } catch (error) {
         console.error(`Error in attachment renaming script: ${error.message}`);
         alert(`An error occurred: ${error.message}`);
@@ -214,13 +438,14 @@
         }
     }
 
-    async function renameAttachment(item, originalNames, failedItems, renameOption, stopProcessingCallback) {
+    async function renameAttachment(item, originalNames, failedItems, renameOption, stopProcessingCallback, journalRun) {
         try {
             const file = await item.getFilePathAsync();
             if (!file) {
                 console.warn(`No file path found for item ${item.id}`);
                 return;
             }
+            const before = captureItemState(item, { fields: ['title'], filename: true });
 
             const parentItem = await Zotero.Items.getAsync(item.parentItemID);
             let newName = Zotero.Attachments.getFileBaseNameFromItem(parentItem);
@@ -258,6 +483,7 @@
             }
 
             await item.saveTx();
+            recordJournalChange(journalRun, item, before);
             Zotero.debug(`Successfully renamed item ${item.id} to ${finalNewName}`);
         } catch (error) {
             Zotero.debug(`Error renaming file for item ${item.id}: ${error.message}`);
@@ -315,6 +541,15 @@
         }
     }
 
+    // Remove the journal changes of attachments that were rolled back, so undo does not offer to restore them again
+    function dropRolledBackChanges(journalRun, itemIDs) {
+        const rolledBack = new Set(itemIDs.map(itemID => {
+            const item = Zotero.Items.get(itemID);
+            return `${item.libraryID}/${item.key}`;
+        }));
+        journalRun.changes = journalRun.changes.filter(change => !rolledBack.has(`${change.libraryID}/${change.key}`));
+    }
+
     async function renameAttachmentToOriginal(item, origFilename) {
         try {
             const renamed = await item.renameAttachmentFile(origFilename, false, true);
@@ -31,6 +31,7 @@
         { "field": "court", "localized": "Court" },
         { "field": "creatorFirstName", "localized": "First Name" },
         { "field": "creatorLastName", "localized": "Last Name" },
+        { "field": "creatorType", "localized": "Creator Type" },
         { "field": "date", "localized": "Date" },
         { "field": "dateDecided", "localized": "Date Decided" },
         { "field": "dateEnacted", "localized": "Date Enacted" },
@@ -159,15 +160,77 @@
         { "type": "webpage", "localized": "Web Page" }
     ];
 
-    // Sort fields and item types alphabetically by localized name
+    // Creator type definitions, read from Zotero so that every creator type of the running version is offered
+    const creatorTypes = Zotero.CreatorTypes.getTypes().map(creatorType => ({
+        "type": creatorType.name,
+        "localized": Zotero.CreatorTypes.getLocalizedString(creatorType.name)
+    }));
+
+    // Sort fields, item types and creator types alphabetically by localized name
     fields.sort((a, b) => a.localized.localeCompare(b.localized));
     itemTypes.sort((a, b) => a.localized.localeCompare(b.localized));
+    creatorTypes.sort((a, b) => a.localized.localeCompare(b.localized));
 
     // Function to escape special characters for regular expressions
     function escapeRegExp(string) {
         return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
     }
 
+    // Function to test a value against the search expression
+    // (a regex with the 'g' flag keeps its position between calls, so it is reset first)
+    function matchesSearch(searchRegex, value) {
+        searchRegex.lastIndex = 0;
+        return searchRegex.test(value);
+    }
+
+    // Function to prompt for the search term, either with wildcards or as a full regular expression
+    function promptSearchRegex(selectedField) {
+        const searchMode = prompt(`How do you want to search the "${selectedField.localized}" field?\n\nEnter '1' for a simple search with * wildcards or '2' for a regular expression (anchors, alternation, capture groups):`, "1");
+        if (searchMode === null) return null;
+        if (searchMode !== '1' && searchMode !== '2') {
+            alert("Invalid selection. Please enter '1' or '2'.");
+            return null;
+        }
+
+        if (searchMode === '1') {
+            const search = prompt(`Enter the characters or words to search for in the "${selectedField.localized}" field. Use * as a wildcard. Leave empty to search for blank fields. Use \\ to escape special characters (e.g., C++ becomes C\\+\\+).`, "");
+            if (search === null) return null;
+
+            if (search === "") {
+                return { search, searchRegex: /^$/, isRegex: false };
+            }
+            const regexPattern = search.split("*").map(escapeRegExp).join(".*");
+            return { search, searchRegex: new RegExp(regexPattern, "i"), isRegex: false };
+        }
+
+        let pattern = "";
+        let flags = "i";
+        while (true) {
+            pattern = prompt(`Enter the regular expression to search for in the "${selectedField.localized}" field (without surrounding slashes, e.g., ^(\\w+), (\\w+)$). Use ^$ to search for blank fields.`, pattern);
+            if (pattern === null) return null;
+            if (pattern === "") {
+                alert("The regular expression cannot be empty. Use ^$ to search for blank fields.");
+                continue;
+            }
+
+            flags = prompt("Enter the regular expression flags, or leave empty for none:\n\ni - ignore case\ng - replace every match, not only the first\nm - ^ and $ match at line breaks\nu - Unicode (e.g., \\p{L} for any letter)", flags);
+            if (flags === null) return null;
+            flags = flags.replace(/\s/g, "");
+
+            const invalidFlags = flags.replace(/[igmu]/g, "");
+            if (invalidFlags || new Set(flags).size !== flags.length) {
+                alert(`Invalid flags: "${flags}".\n\nUse each of i, g, m and u at most once.`);
+                continue;
+            }
+
+            try {
+                return { search: `/${pattern}/${flags}`, searchRegex: new RegExp(pattern, flags), isRegex: true };
+            } catch (error) {
+                alert(`The regular expression is not valid:\n\n${error.message}\n\nPlease correct the pattern and try again.`);
+            }
+        }
+    }
+
     // Function to prompt user to select a field or item type with autocomplete suggestions
     function autocompletePrompt(promptText, suggestions) {
         let input = "";
@@ -238,6 +301,90 @@
         }
     }
 
+    // Number of items listed on each page of the change preview
+    const PREVIEW_PAGE_SIZE = 10;
+
+    // Function to shorten a long value to the part that changes, with some context around it
+    function excerptChange(oldValue, newValue, context = 30) {
+        if (oldValue.length <= 2 * context + 40 && newValue.length <= 2 * context + 40) {
+            return { oldExcerpt: oldValue, newExcerpt: newValue };
+        }
+
+        let prefixLength = 0;
+        while (prefixLength < oldValue.length && prefixLength < newValue.length && oldValue[prefixLength] === newValue[prefixLength]) {
+            prefixLength++;
+        }
+        let suffixLength = 0;
+        while (suffixLength < oldValue.length - prefixLength && suffixLength < newValue.length - prefixLength &&
+            oldValue[oldValue.length - 1 - suffixLength] === newValue[newValue.length - 1 - suffixLength]) {
+            suffixLength++;
+        }
+
+        const start = Math.max(0, prefixLength - context);
+        const excerpt = (value) => {
+            const end = Math.min(value.length, value.length - suffixLength + context);
+            return (start > 0 ? "..." : "") + value.slice(start, end) + (end < value.length ? "..." : "");
+        };
+        return { oldExcerpt: excerpt(oldValue), newExcerpt: excerpt(newValue) };
+    }
+
+    // Function to parse item numbers such as "3, 7-9" (returns null if the input is not valid)
+    function parseItemNumbers(input, max) {
+        let numbers = [];
+        for (let part of input.split(",").map(part => part.trim()).filter(Boolean)) {
+            let range = part.match(/^(\d+)\s*(?:-\s*(\d+))?$/);
+            if (!range) return null;
+            let first = parseInt(range[1], 10);
+            let last = range[2] ? parseInt(range[2], 10) : first;
+            if (first < 1 || last > max || first > last) return null;
+            for (let number = first; number <= last; number++) {
+                numbers.push(number);
+            }
+        }
+        return numbers.length ? numbers : null;
+    }
+
+    // Function to show every planned change (old and new value per item) and let the user exclude items.
+    // Each change is { item, oldValue, newValue }; returns the changes to apply, or null if canceled.
+    function previewChanges(changes, description) {
+        const excluded = new Set();
+        const pageCount = Math.ceil(changes.length / PREVIEW_PAGE_SIZE);
+        let page = 0;
+
+        console.log(`Preview: ${description}`);
+        changes.forEach((change, index) => console.log(`${index + 1}. Item ${change.item.id}: "${change.oldValue}" -> "${change.newValue}"`));
+
+        while (true) {
+            const start = page * PREVIEW_PAGE_SIZE;
+            const pageText = changes.slice(start, start + PREVIEW_PAGE_SIZE).map((change, index) => {
+                const number = start + index + 1;
+                const title = change.item.getDisplayTitle() || "(no title)";
+                const { oldExcerpt, newExcerpt } = excerptChange(change.oldValue, change.newValue);
+                return `${number}. ${excluded.has(number) ? "[EXCLUDED] " : ""}${title.length > 60 ? title.slice(0, 57) + "..." : title}\n     Old: ${oldExcerpt}\n     New: ${newExcerpt}`;
+            }).join("\n");
+
+            const isLastPage = page === pageCount - 1;
+            const input = prompt(`${description}\n\n${changes.length - excluded.size} of ${changes.length} item(s) will be changed. Page ${page + 1} of ${pageCount}:\n\n${pageText}\n\nEnter 'n' for the next page, 'p' for the previous page, or 'a' to apply the changes.\nEnter item numbers (e.g., '3, 7-9') to exclude them, or to include them again.\nThe full list is written to the console.`, isLastPage ? "a" : "n");
+            if (input === null) return null;
+
+            const command = input.trim().toLowerCase();
+            if (command === "a") {
+                return changes.filter((change, index) => !excluded.has(index + 1));
+            } else if (command === "n" || command === "") {
+                page = Math.min(page + 1, pageCount - 1);
+            } else if (command === "p") {
+                page = Math.max(page - 1, 0);
+            } else {
+                const numbers = parseItemNumbers(command, changes.length);
+                if (!numbers) {
+                    alert(`Invalid input: "${input}".\n\nEnter 'n', 'p', 'a', or item numbers between 1 and ${changes.length} (e.g., '3, 7-9').`);
+                    continue;
+                }
+                numbers.forEach(number => excluded.has(number) ? excluded.delete(number) : excluded.add(number));
+            }
+        }
+    }
+
     // Function to update item type
     async function updateItemType(itemsToEdit, newTypeLocalized) {
         const newType = itemTypes.find(type => type.localized === newTypeLocalized).type;
@@ -246,161 +393,778 @@
             alert(`Invalid item type: ${newTypeLocalized}`);
             return;
         }
-        let processedCount = 0;
+        let changes = [];
         let skippedCount = 0;
+        for (let item of itemsToEdit) {
+            // Ensure only parent items are updated
+            if (!item.isAttachment() || item.getField('parentItemID')) {
+                if (item.itemTypeID === typeID) continue;
+                const oldType = Zotero.ItemTypes.getName(item.itemTypeID);
+                const oldTypeLocalized = (itemTypes.find(type => type.type === oldType) || { localized: oldType }).localized;
+                changes.push({ item, oldValue: oldTypeLocalized, newValue: newTypeLocalized });
+            } else {
+                console.log(`Skipping attachment with no parent: Item ID ${item.id}`);
+                skippedCount++;
+            }
+        }
+
+        if (!changes.length) {
+            alert(`No items need to be changed to "${newTypeLocalized}".\n\n ${skippedCount} item(s) skipped.`);
+            return;
+        }
+
+        changes = previewChanges(changes, `Change the item type to "${newTypeLocalized}"`);
+        if (!changes) {
+            alert("Update operation canceled.");
+            return;
+        }
+
+        // Changing the type can drop fields and creators, so the whole item is recorded
+        const journalRun = startJournalRun(`Change the item type to "${newTypeLocalized}"`);
         await Zotero.DB.executeTransaction(async function() {
-            for (let item of itemsToEdit) {
-                // Ensure only parent items are updated
-                if (!item.isAttachment() || item.getField('parentItemID')) {
-                    console.log(`Updating item ${item.id} to type ${newTypeLocalized} (ID: ${typeID})`);
-                    item.setType(typeID);
-                    await item.save();
-                    processedCount++;
-                } else {
-                    console.log(`Skipping attachment with no parent: Item ID ${item.id}`);
-                    skippedCount++;
-                }
+            for (let { item } of changes) {
+                const before = captureItemState(item, { itemType: true, fields: 'all', creators: true });
+                console.log(`Updating item ${item.id} to type ${newTypeLocalized} (ID: ${typeID})`);
+                item.setType(typeID);
+                await item.save();
+                recordJournalChange(journalRun, item, before);
             }
         });
-        alert(`Item types updated to "${newTypeLocalized}" for selected items.\n\n ${processedCount} item(s) processed,\n\n ${skippedCount} item(s) skipped.`);
+        await saveJournalRun(journalRun);
+        alert(`Item types updated to "${newTypeLocalized}" for selected items.\n\n ${changes.length} item(s) processed,\n\n ${skippedCount} item(s) skipped.`);
     }
 
-    // Function to update creators
-    async function updateCreators(fieldName, itemsToEdit, searchRegex, replace) {
-        let deletionConfirmed = false;
-        let toBeDeletedItems = [];
-        let originalCreatorsMap = new Map();
+    // Function to format creators for the change preview
+    function formatCreators(creators) {
+        return creators.map(creator => (creator.fieldMode === 1) ? creator.lastName : `${creator.lastName}, ${creator.firstName}`).join("; ");
+    }
 
-        await Zotero.DB.executeTransaction(async function() {
-            for (let item of itemsToEdit) {
-                let creators = item.getCreators();
-                originalCreatorsMap.set(item.id, JSON.parse(JSON.stringify(creators)));
-                let updated = false;
-                let newCreators = [];
-
-                for (let creator of creators) {
-                    let nameToSearch = (creator.fieldMode === 1) ? creator.lastName : (fieldName === "creatorFirstName") ? creator.firstName : creator.lastName;
-
-                    if (searchRegex.test(nameToSearch)) {
-                        if (creator.fieldMode === 1 || fieldName === "creatorLastName") {
-                            creator.lastName = nameToSearch.replace(searchRegex, replace);
-                        } else if (fieldName === "creatorFirstName") {
-                            creator.firstName = nameToSearch.replace(searchRegex, replace);
-                        }
-
-                        if (creator.fieldMode === 0 && !creator.firstName && !creator.lastName) {
-                            toBeDeletedItems.push(item);
-                        } else {
-                            newCreators.push(creator);
-                        }
-                        updated = true;
-                    } else {
-                        newCreators.push(creator);
-                    }
+    // Function to update creators (only those of creatorType, if given)
+    async function updateCreators(fieldName, itemsToEdit, searchRegex, replace, creatorType = null) {
+        let changes = [];
+
+        for (let item of itemsToEdit) {
+            let creators = item.getCreators();
+            let updated = false;
+            let hasBlankCreators = false;
+            let newCreators = [];
+
+            for (let creator of creators) {
+                let newCreator = { ...creator };
+                if (creatorType && Zotero.CreatorTypes.getName(creator.creatorTypeID) !== creatorType.type) {
+                    newCreators.push(newCreator);
+                    continue;
                 }
 
-                newCreators = newCreators.filter(creator => (creator.fieldMode === 1) || (creator.firstName || creator.lastName));
+                let nameToSearch = (creator.fieldMode === 1) ? creator.lastName : (fieldName === "creatorFirstName") ? creator.firstName : creator.lastName;
+
+                if (matchesSearch(searchRegex, nameToSearch)) {
+                    if (creator.fieldMode === 1 || fieldName === "creatorLastName") {
+                        newCreator.lastName = nameToSearch.replace(searchRegex, replace);
+                    } else if (fieldName === "creatorFirstName") {
+                        newCreator.firstName = nameToSearch.replace(searchRegex, replace);
+                    }
 
-                if (updated) {
-                    console.log(`Updating item ${item.id} with new creators:`, newCreators);
-                    item.setCreators(newCreators);
-                    await item.save();
+                    if (newCreator.fieldMode === 0 && !newCreator.firstName && !newCreator.lastName) {
+                        hasBlankCreators = true;
+                    }
+                    updated = updated || newCreator.firstName !== creator.firstName || newCreator.lastName !== creator.lastName;
                 }
+                newCreators.push(newCreator);
             }
-        });
 
-        if (toBeDeletedItems.length && !deletionConfirmed) {
-            deletionConfirmed = confirm("Some author names (first and last names) will be blank after this update. Do you want to delete these author entries? Note: This will not delete the entire item or attached files, only the blank author names.");
+            if (updated) {
+                changes.push({ item, creators, newCreators, hasBlankCreators });
+            }
+        }
+
+        if (!changes.length) {
+            alert("No creators found with the specified search term.");
+            return;
+        }
+
+        if (changes.some(change => change.hasBlankCreators)) {
+            const deletionConfirmed = confirm("Some author names (first and last names) will be blank after this update. Do you want to delete these author entries? Note: This will not delete the entire item or attached files, only the blank author names.\n\nIf you press Cancel, the items with blank author names are left unchanged.");
             if (deletionConfirmed) {
-                await Zotero.DB.executeTransaction(async function() {
-                    for (let item of toBeDeletedItems) {
-                        let creators = item.getCreators().filter(creator => creator.fieldMode === 1 || creator.firstName || creator.lastName);
-                        item.setCreators(creators);
-                        await item.save();
-                    }
-                });
+                changes.forEach(change => change.newCreators = change.newCreators.filter(creator => (creator.fieldMode === 1) || (creator.firstName || creator.lastName)));
             } else {
-                await Zotero.DB.executeTransaction(async function() {
-                    for (let item of toBeDeletedItems) {
-                        let originalCreators = originalCreatorsMap.get(item.id);
-                        item.setCreators(originalCreators);
-                        await item.save();
-                    }
-                });
+                changes = changes.filter(change => !change.hasBlankCreators);
             }
         }
 
-        alert("The names were successfully updated.");
+        changes.forEach(change => {
+            change.oldValue = formatCreators(change.creators);
+            change.newValue = formatCreators(change.newCreators);
+        });
+        const creatorTypeInfo = creatorType ? ` of ${creatorType.localized.toLowerCase()}s` : "";
+        changes = previewChanges(changes, `Replace in the "${fieldName === "creatorFirstName" ? "First Name" : "Last Name"}"${creatorTypeInfo}`);
+        if (!changes) {
+            alert("Update operation canceled.");
+            return;
+        }
+
+        const journalRun = startJournalRun(`Replace "${searchRegex.source}" in the creators' ${fieldName === "creatorFirstName" ? "first" : "last"} names`);
+        await Zotero.DB.executeTransaction(async function() {
+            for (let { item, newCreators } of changes) {
+                const before = captureItemState(item, { creators: true });
+                console.log(`Updating item ${item.id} with new creators:`, newCreators);
+                item.setCreators(newCreators);
+                await item.save();
+                recordJournalChange(journalRun, item, before);
+            }
+        });
+        await saveJournalRun(journalRun);
+
+        alert(`The names were successfully updated in ${changes.length} item(s).`);
+    }
+
+    // Function to change the type of creators (e.g., author to editor)
+    async function updateCreatorTypes(itemsToEdit, fromType, toType, nameRegex) {
+        const fromTypeID = Zotero.CreatorTypes.getID(fromType.type);
+        const toTypeID = Zotero.CreatorTypes.getID(toType.type);
+        let changes = [];
+        let invalidTypeCount = 0;
+
+        for (let item of itemsToEdit) {
+            if (!item.isRegularItem()) continue;
+
+            let creators = item.getCreators();
+            let matching = creators.filter(creator => {
+                let name = (creator.fieldMode === 1) ? creator.lastName : `${creator.firstName} ${creator.lastName}`;
+                return creator.creatorTypeID === fromTypeID && (!nameRegex || nameRegex.test(name));
+            });
+            if (!matching.length) continue;
+
+            // Not every item type has every creator type (e.g., no editors on a web page)
+            if (!Zotero.CreatorTypes.isValidForItemType(toTypeID, item.itemTypeID)) {
+                console.log(`Skipping item ${item.id}: "${toType.localized}" is not a valid creator type for '${Zotero.ItemTypes.getName(item.itemTypeID)}'`);
+                invalidTypeCount++;
+                continue;
+            }
+
+            let newCreators = creators.map(creator => matching.includes(creator) ? { ...creator, creatorTypeID: toTypeID } : creator);
+            changes.push({
+                item,
+                newCreators,
+                oldValue: `${fromType.localized}: ${formatCreators(matching)}`,
+                newValue: `${toType.localized}: ${formatCreators(matching)}`
+            });
+        }
+
+        if (!changes.length) {
+            alert(`No "${fromType.localized}" creators found to change.\n\n${invalidTypeCount} item(s) were not updated because their item type does not allow "${toType.localized}".`);
+            return;
+        }
+
+        changes = previewChanges(changes, `Change creators from "${fromType.localized}" to "${toType.localized}"`);
+        if (!changes) {
+            alert("Update operation canceled.");
+            return;
+        }
+
+        const journalRun = startJournalRun(`Change creators from "${fromType.localized}" to "${toType.localized}"`);
+        await Zotero.DB.executeTransaction(async function() {
+            for (let { item, newCreators } of changes) {
+                const before = captureItemState(item, { creators: true });
+                console.log(`Updating item ${item.id}: creators from "${fromType.localized}" to "${toType.localized}"`);
+                item.setCreators(newCreators);
+                await item.save();
+                recordJournalChange(journalRun, item, before);
+            }
+        });
+        await saveJournalRun(journalRun);
+
+        alert(`Creator types changed from "${fromType.localized}" to "${toType.localized}" in ${changes.length} item(s).\n\n${invalidTypeCount} item(s) were not updated because their item type does not allow "${toType.localized}".`);
     }
 
     // Function to update notes
     async function updateNotes(itemsToEdit, searchRegex, replace) {
-        await Zotero.DB.executeTransaction(async function() {
-            for (let item of itemsToEdit) {
-                if (item.isNote()) {
-                    let noteContent = item.getNote();
-                    let newNoteContent = noteContent.replace(searchRegex, replace);
-                    if (newNoteContent !== noteContent) {
-                        await item.setNote(newNoteContent);
-                        await item.save();
-                    }
+        let changes = [];
+        for (let item of itemsToEdit) {
+            if (item.isNote()) {
+                let noteContent = item.getNote();
+                let newNoteContent = noteContent.replace(searchRegex, replace);
+                if (newNoteContent !== noteContent) {
+                    changes.push({ item, oldValue: noteContent, newValue: newNoteContent });
                 }
             }
+        }
+
+        if (!changes.length) {
+            alert("No notes found with the specified search term.");
+            return;
+        }
+
+        changes = previewChanges(changes, "Replace in notes");
+        if (!changes) {
+            alert("Update operation canceled.");
+            return;
+        }
+
+        const journalRun = startJournalRun(`Replace "${searchRegex.source}" in notes`);
+        await Zotero.DB.executeTransaction(async function() {
+            for (let { item, newValue } of changes) {
+                const before = captureItemState(item, { note: true });
+                await item.setNote(newValue);
+                await item.save();
+                recordJournalChange(journalRun, item, before);
+            }
         });
-        alert("Notes updated.");
+        await saveJournalRun(journalRun);
+        alert(`${changes.length} note(s) updated.`);
     }
 
-// Function to update field values
-async function updateFieldValues(fieldName, selectedField, itemsToEdit, searchRegex, replace) {
-    let idsCorrect = [];
+// Function to update field values; replace is a replacement string, or a function (value, item) => new value
+async function updateFieldValues(fieldName, selectedField, itemsToEdit, searchRegex, replace, description = `Replace "${searchRegex.source}" in the "${selectedField.localized}" field`) {
+    let changes = [];
     let invalidFieldCount = 0;
 
     for (let item of itemsToEdit) {
         try {
-            let fieldValue = item.getField(fieldName) || "";
-            if (searchRegex.test(fieldValue)) {
-                idsCorrect.push(item.id);
+            const fieldID = getItemFieldID(item, fieldName);
+            if (!fieldID) {
+                throw new Error(`'${fieldName}' is not a valid field`);
+            }
+            let fieldValue = item.getField(fieldID) || "";
+            if (matchesSearch(searchRegex, fieldValue)) {
+                let newValue = typeof replace === "function" ? replace(fieldValue, item) : fieldValue.replace(searchRegex, replace);
+                if (newValue !== fieldValue) {
+                    changes.push({ item, fieldID, oldValue: fieldValue, newValue });
+                }
             }
         } catch (error) {
-            console.error(`Error in bulk edit script: '${fieldName}' is not a valid field for type '${item.itemType}'. Skipping this item.`);
+            console.error(`Error in bulk edit script: '${fieldName}' is not a valid field for type '${Zotero.ItemTypes.getName(item.itemTypeID)}'. Skipping this item.`);
             invalidFieldCount++;
         }
     }
 
-    if (!idsCorrect.length && invalidFieldCount === 0) {
-        alert("No items found with the specified search term.");
+    if (!changes.length) {
+        alert(`No items found with the specified search term.${invalidFieldCount ? `\n\n${invalidFieldCount} item(s) do not have the "${selectedField.localized}" field.` : ""}`);
         return;
     }
 
-    // Preview of Edit
-    if (idsCorrect.length > 0) {
-        let previewItem = await Zotero.Items.getAsync(idsCorrect[0]);
-        let previewOldValue = previewItem.getField(fieldName) || "";
-        let previewNewValue = previewOldValue.replace(searchRegex, replace);
-        let confirmed = confirm(`${idsCorrect.length} item(s) found with the specified search term in the field "${selectedField.localized}".\n\nExample of change:\nOld: ${previewOldValue}\nNew: ${previewNewValue}\n\nDo you want to apply these changes to all items?`);
-
-        if (!confirmed) {
-            alert("Update operation canceled.");
-            return;
-        }
+    // Preview of every change, with the option to exclude items
+    changes = previewChanges(changes, description);
+    if (!changes) {
+        alert("Update operation canceled.");
+        return;
     }
 
-    // Replace values in selected items
+    // Replace values in the items that were not excluded
+    const journalRun = startJournalRun(description);
     await Zotero.DB.executeTransaction(async function() {
-        for (let id of idsCorrect) {
-            let item = await Zotero.Items.getAsync(id);
-            let oldValue = item.getField(fieldName) || "";
-            let newValue = oldValue.replace(searchRegex, replace);
-            console.log(`Updating item ${item.id} field "${fieldName}" from "${oldValue}" to "${newValue}"`);
-            item.setField(fieldName, newValue);
+        for (let { item, fieldID, oldValue, newValue } of changes) {
+            const itemFieldName = Zotero.ItemFields.getName(fieldID);
+            const before = captureItemState(item, { fields: [itemFieldName] });
+            console.log(`Updating item ${item.id} field "${itemFieldName}" from "${oldValue}" to "${newValue}"`);
+            item.setField(fieldID, newValue);
             await item.save();
+            recordJournalChange(journalRun, item, before);
         }
     });
+    await saveJournalRun(journalRun);
 
-    alert(`${idsCorrect.length} item(s) updated successfully.\n\nThe specified search term was replaced in the "${selectedField.localized}" field.\n\n${invalidFieldCount} item(s) were not updated due to invalid fields.`);
+    alert(`${changes.length} item(s) updated successfully.\n\n${description}.\n\n${invalidFieldCount} item(s) were not updated due to invalid fields.`);
 }
 
 
+    // Fields that hold item metadata, for copying values between fields (not creators or notes)
+    const itemFields = fields.filter(field => !["creatorFirstName", "creatorLastName", "creatorType", "note"].includes(field.field));
+
+    // Function to get the field an item stores a value in, or null if its item type does not have the field.
+    // Base fields resolve to the type's own field (e.g., "Publication Title" is "Book Title" in a book section).
+    function getItemFieldID(item, fieldName) {
+        const fieldID = Zotero.ItemFields.getID(fieldName);
+        if (!fieldID) return null;
+        if (Zotero.ItemFields.isValidForType(fieldID, item.itemTypeID)) return fieldID;
+        return Zotero.ItemFields.getFieldIDFromTypeAndBase(item.itemTypeID, fieldID) || null;
+    }
+
+    // Function to copy, move, swap or concatenate values between fields.
+    // policy: 'overwrite', 'append' (with separator) or 'ifEmpty' (only fill empty target fields)
+    async function updateFieldToField(itemsToEdit, operation, sourceFields, targetField, policy, separator) {
+        const operationNames = { copy: "Copy", move: "Move", swap: "Swap", concatenate: "Concatenate" };
+        const sourceNames = sourceFields.map(field => field.localized).join(" + ");
+        const description = operation === "swap"
+            ? `Swap "${sourceNames}" and "${targetField.localized}"`
+            : `${operationNames[operation]} "${sourceNames}" to "${targetField.localized}"`;
+
+        let changes = [];
+        let invalidFieldCount = 0;
+        for (let item of itemsToEdit) {
+            if (!item.isRegularItem()) continue;
+            const fieldIDs = [...sourceFields, targetField].map(field => getItemFieldID(item, field.field));
+            if (fieldIDs.includes(null) || new Set(fieldIDs).size !== fieldIDs.length) {
+                console.log(`Skipping item ${item.id}: '${Zotero.ItemTypes.getName(item.itemTypeID)}' does not have all of the fields as separate fields`);
+                invalidFieldCount++;
+                continue;
+            }
+
+            // Read and write the item's own fields, since the base field names can map to other fields
+            const sourceIDs = fieldIDs.slice(0, -1);
+            const targetID = fieldIDs[fieldIDs.length - 1];
+            const sourceValues = sourceIDs.map(fieldID => item.getField(fieldID) || "");
+            const oldTarget = item.getField(targetID) || "";
+            let newValues = new Map();
+
+            if (operation === "swap") {
+                if (sourceValues[0] === oldTarget) continue;
+                newValues.set(targetID, sourceValues[0]);
+                newValues.set(sourceIDs[0], oldTarget);
+            } else {
+                const value = sourceValues.filter(Boolean).join(separator);
+                if (!value) continue;
+                if (policy === "ifEmpty" && oldTarget) continue;
+
+                newValues.set(targetID, (policy === "append" && oldTarget) ? `${oldTarget}${separator}${value}` : value);
+                if (operation === "move") {
+                    newValues.set(sourceIDs[0], "");
+                }
+                if (newValues.get(targetID) === oldTarget && operation !== "move") continue;
+            }
+
+            // Show the target first, then the source fields that change as well
+            const changedFields = [[targetField, targetID], ...sourceFields.map((field, index) => [field, sourceIDs[index]]).filter(([, fieldID]) => newValues.has(fieldID) && fieldID !== targetID)];
+            changes.push({
+                item,
+                newValues,
+                oldValue: changedFields.map(([field, fieldID]) => `${field.localized}: ${item.getField(fieldID) || ""}`).join(" | "),
+                newValue: changedFields.map(([field, fieldID]) => `${field.localized}: ${newValues.get(fieldID)}`).join(" | ")
+            });
+        }
+
+        if (!changes.length) {
+            alert(`No items need to be changed.${invalidFieldCount ? `\n\n${invalidFieldCount} item(s) do not have all of the fields as separate fields.` : ""}`);
+            return;
+        }
+
+        changes = previewChanges(changes, description);
+        if (!changes) {
+            alert("Update operation canceled.");
+            return;
+        }
+
+        const journalRun = startJournalRun(description);
+        await Zotero.DB.executeTransaction(async function() {
+            for (let { item, newValues } of changes) {
+                const before = captureItemState(item, { fields: [...newValues.keys()].map(fieldID => Zotero.ItemFields.getName(fieldID)) });
+                for (let [fieldID, value] of newValues) {
+                    console.log(`Updating item ${item.id} field "${Zotero.ItemFields.getName(fieldID)}" to "${value}"`);
+                    item.setField(fieldID, value);
+                }
+                await item.save();
+                recordJournalChange(journalRun, item, before);
+            }
+        });
+        await saveJournalRun(journalRun);
+
+        alert(`${changes.length} item(s) updated successfully.\n\n${description}\n\n${invalidFieldCount} item(s) were not updated because their item type does not have all of the fields as separate fields.`);
+    }
+
+    // Template filters: {field|filter:argument|...}. Each takes the current value and its argument.
+    const templateFilters = {
+        lowercase: (value) => value.toLowerCase(),
+        uppercase: (value) => value.toUpperCase(),
+        trim: (value) => value.trim(),
+        truncate: (value, length) => value.length > length ? value.slice(0, length).trimEnd() : value,
+        before: (value, separator) => value.includes(separator) ? value.slice(0, value.indexOf(separator)).trimEnd() : value,
+        after: (value, separator) => value.includes(separator) ? value.slice(value.indexOf(separator) + separator.length).trimStart() : "",
+        extract: (value, regex) => {
+            const match = value.match(regex);
+            return match ? (match[1] !== undefined ? match[1] : match[0]) : "";
+        },
+        date: (value, format) => formatTemplateDate(value, format)
+    };
+
+    // Filters that need an argument, and how it is checked when the template is parsed
+    const templateFilterArguments = {
+        truncate: (argument) => {
+            const length = parseInt(argument, 10);
+            if (!(length > 0)) throw new Error("The truncate filter needs a length greater than 0, e.g. truncate:50");
+            return length;
+        },
+        before: (argument) => argument,
+        after: (argument) => argument,
+        extract: (argument) => {
+            try {
+                return new RegExp(argument);
+            } catch (error) {
+                throw new Error(`${error.message} (in the extract filter)`);
+            }
+        },
+        date: (argument) => argument
+    };
+
+    // Function to format a date field with YYYY, YY, MM and DD (parts the date does not have are left empty)
+    function formatTemplateDate(value, format) {
+        const date = Zotero.Date.strToDate(value);
+        const pad = (number) => String(number).padStart(2, "0");
+        return format.replace(/YYYY|YY|MM|DD/g, token => {
+            if (token === "YYYY") return date.year ? String(date.year) : "";
+            if (token === "YY") return date.year ? String(date.year).slice(-2) : "";
+            if (token === "MM") return date.month !== undefined ? pad(date.month + 1) : "";
+            return date.day ? pad(date.day) : "";
+        });
+    }
+
+    // Function to split text at a character, ignoring characters inside quotes
+    function splitOutsideQuotes(text, character) {
+        let parts = [""];
+        let quote = null;
+        for (let char of text) {
+            if (quote) {
+                if (char === quote) quote = null;
+            } else if (char === '"' || char === "'") {
+                quote = char;
+            } else if (char === character) {
+                parts.push("");
+                continue;
+            }
+            parts[parts.length - 1] += char;
+        }
+        return parts;
+    }
+
+    // Function to parse a template such as 'Citation Key: {creator1.lastName}{year}' into literal text and
+    // placeholders with their filters. Throws an error that names the problem if the template is not valid.
+    function parseTemplate(template) {
+        let parts = [];
+        let position = 0;
+        while (position < template.length) {
+            const open = template.indexOf("{", position);
+            if (open === -1) {
+                parts.push(template.slice(position));
+                break;
+            }
+            parts.push(template.slice(position, open));
+
+            // The placeholder ends at the first } outside quotes
+            let close = -1;
+            let quote = null;
+            for (let i = open + 1; i < template.length; i++) {
+                const char = template[i];
+                if (quote) {
+                    if (char === quote) quote = null;
+                } else if (char === '"' || char === "'") {
+                    quote = char;
+                } else if (char === "}") {
+                    close = i;
+                    break;
+                }
+            }
+            if (close === -1) {
+                throw new Error(`The placeholder starting at "${template.slice(open, open + 20)}" has no closing }`);
+            }
+
+            const [source, ...filterTexts] = splitOutsideQuotes(template.slice(open + 1, close), "|").map(part => part.trim());
+            if (!isTemplateSource(source)) {
+                throw new Error(`Unknown field "${source}" in {${template.slice(open + 1, close)}}`);
+            }
+
+            const filters = filterTexts.map(filterText => {
+                const [, name, rawArgument] = filterText.match(/^(\w+)\s*(?::\s*(.*))?$/) || [];
+                if (!name || !templateFilters[name]) {
+                    throw new Error(`Unknown filter "${filterText}". Use one of: ${Object.keys(templateFilters).join(", ")}`);
+                }
+                const checkArgument = templateFilterArguments[name];
+                if (!checkArgument) return { name };
+                if (rawArgument === undefined || rawArgument === "") {
+                    throw new Error(`The ${name} filter needs an argument, e.g. ${name}:${name === "truncate" ? "50" : name === "date" ? '"YYYY"' : '":"'}`);
+                }
+                const argument = /^(["']).*\1$/.test(rawArgument) ? rawArgument.slice(1, -1) : rawArgument;
+                return { name, argument: checkArgument(argument) };
+            });
+
+            parts.push({ source, filters });
+            position = close + 1;
+        }
+        return parts;
+    }
+
+    // Function to check a placeholder source: a field name, year, or creatorN.firstName / lastName / name
+    function isTemplateSource(source) {
+        return source === "year" || /^creator\d+\.(firstName|lastName|name)$/.test(source) || !!Zotero.ItemFields.getID(source);
+    }
+
+    // Function to get the value of a placeholder source for an item (empty if the item does not have it)
+    function getTemplateSourceValue(item, source) {
+        if (source === "year") {
+            return String(Zotero.Date.strToDate(item.getField("date") || "").year || "");
+        }
+
+        const creatorMatch = source.match(/^creator(\d+)\.(firstName|lastName|name)$/);
+        if (creatorMatch) {
+            const creator = item.getCreators()[parseInt(creatorMatch[1], 10) - 1];
+            if (!creator) return "";
+            if (creatorMatch[2] === "name") {
+                return (creator.fieldMode === 1) ? creator.lastName : `${creator.firstName} ${creator.lastName}`.trim();
+            }
+            return creator[creatorMatch[2]] || "";
+        }
+
+        const fieldID = getItemFieldID(item, source);
+        return fieldID ? (item.getField(fieldID) || "") : "";
+    }
+
+    // Function to fill in a parsed template for an item
+    function renderTemplate(parts, item) {
+        return parts.map(part => {
+            if (typeof part === "string") return part;
+            return part.filters.reduce((value, filter) => templateFilters[filter.name](value, filter.argument), getTemplateSourceValue(item, part.source));
+        }).join("");
+    }
+
+    // Function to parse an expression such as 'shortTitle = {title|before:":"}' or 'extra += "..."'.
+    // Returns { field, append, template, parts }; throws an error if the expression is not valid.
+    function parseFieldExpression(expression) {
+        const match = expression.match(/^\s*([\w ]+?)\s*(\+?=)\s*([\s\S]*)$/);
+        if (!match) {
+            throw new Error(`Write the expression as "field = template" or "field += template", e.g. shortTitle = {title|before:":"}`);
+        }
+
+        const fieldName = match[1].toLowerCase();
+        const field = itemFields.find(f => f.field.toLowerCase() === fieldName || f.localized.toLowerCase() === fieldName);
+        if (!field) {
+            throw new Error(`Unknown field "${match[1]}"`);
+        }
+
+        let template = match[3].trim();
+        if (/^(["']).*\1$/s.test(template)) {
+            template = template.slice(1, -1);
+        }
+        if (!template) {
+            throw new Error("The template is empty");
+        }
+
+        return { field, append: match[2] === "+=", template, parts: parseTemplate(template) };
+    }
+
+    // Change journal: the fields, creators, notes and item types each run changed, before and after,
+    // so the run can be undone. change-journal.json is shared with the other editing scripts; only the
+    // Bulk Edit runs are listed and undone here.
+    const JOURNAL_FILE = 'change-journal.json';
+    const JOURNAL_VERSION = 1;
+    const JOURNAL_MAX_RUNS = 50;
+    const JOURNAL_SCRIPT = "Bulk Edit";
+
+    function getJournalFilePath() {
+        return PathUtils.join(Zotero.DataDirectory.dir, JOURNAL_FILE);
+    }
+
+    // Returns null if the journal cannot be read or has a format this script does not know,
+    // so that it is never overwritten
+    async function loadJournal() {
+        const path = getJournalFilePath();
+        try {
+            if (!(await IOUtils.exists(path))) return { version: JOURNAL_VERSION, runs: [] };
+            const journal = JSON.parse(await Zotero.File.getContentsAsync(path));
+            if (journal.version !== JOURNAL_VERSION || !Array.isArray(journal.runs)) {
+                console.error(`The change journal ${path} has format version ${journal.version}; this script reads version ${JOURNAL_VERSION}`);
+                return null;
+            }
+            return journal;
+        } catch (error) {
+            console.error(`Could not read the change journal ${path}: ${error.message}`);
+            return null;
+        }
+    }
+
+    async function saveJournal(journal) {
+        await Zotero.File.putContentsAsync(getJournalFilePath(), JSON.stringify(journal, null, 2));
+    }
+
+    // Run IDs are never reused, so an undo run keeps pointing at the run it undid
+    function addJournalRun(journal, run) {
+        run.id = Math.max(journal.lastRunID || 0, ...journal.runs.map(r => r.id)) + 1;
+        journal.lastRunID = run.id;
+        journal.runs.push(run);
+        journal.runs = journal.runs.slice(-JOURNAL_MAX_RUNS);
+    }
+
+    // A run collects the changes of one operation; it is written when saveJournalRun is called
+    function startJournalRun(description) {
+        return { script: JOURNAL_SCRIPT, description, date: new Date().toISOString(), changes: [] };
+    }
+
+    // parts: { fields: [names] or 'all', creators, itemType, note }
+    function captureItemState(item, parts) {
+        const state = {};
+        if (parts.itemType) {
+            state.itemType = Zotero.ItemTypes.getName(item.itemTypeID);
+        }
+        if (parts.fields) {
+            const fieldNames = parts.fields === 'all'
+                ? Zotero.ItemFields.getItemTypeFields(item.itemTypeID).map(fieldID => Zotero.ItemFields.getName(fieldID))
+                : parts.fields;
+            state.fields = {};
+            for (const fieldName of fieldNames) {
+                state.fields[fieldName] = item.getField(fieldName) || "";
+            }
+        }
+        if (parts.creators) {
+            state.creators = item.getCreators().map(creator => ({ ...creator }));
+        }
+        if (parts.note) {
+            state.note = item.getNote();
+        }
+        return state;
+    }
+
+    function getStateParts(state) {
+        return {
+            itemType: 'itemType' in state,
+            fields: state.fields ? Object.keys(state.fields) : null,
+            creators: 'creators' in state,
+            note: 'note' in state
+        };
+    }
+
+    function recordJournalChange(run, item, before) {
+        const after = captureItemState(item, getStateParts(before));
+        if (JSON.stringify(before) !== JSON.stringify(after)) {
+            run.changes.push({ libraryID: item.libraryID, key: item.key, before, after });
+        }
+    }
+
+    async function saveJournalRun(run) {
+        if (!run.changes.length) return;
+        try {
+            const journal = await loadJournal();
+            if (!journal) {
+                throw new Error(`${getJournalFilePath()} could not be read or has a newer format`);
+            }
+            addJournalRun(journal, run);
+            await saveJournal(journal);
+            console.log(`Recorded ${run.changes.length} change(s) as run ${run.id} in ${getJournalFilePath()}`);
+        } catch (error) {
+            console.error(`Could not write the change journal: ${error.message}`);
+            alert(`The changes were made, but could not be recorded for undo: ${error.message}`);
+        }
+    }
+
+    function formatJournalRun(run) {
+        const date = new Date(run.date).toLocaleString();
+        return `${run.id}. ${date} - ${run.description} (${run.changes.length} item(s))`;
+    }
+
+    // The item type goes first, since changing it clears fields the old type does not have
+    async function restoreItemState(item, state) {
+        if (state.itemType) {
+            item.setType(Zotero.ItemTypes.getID(state.itemType));
+        }
+        if (state.fields) {
+            for (const [fieldName, value] of Object.entries(state.fields)) {
+                item.setField(fieldName, value);
+            }
+        }
+        if (state.creators) {
+            item.setCreators(state.creators);
+        }
+        if ('note' in state) {
+            item.setNote(state.note);
+        }
+        await item.saveTx();
+    }
+
+    // Undo the last run of this script, or the run the user picks; items changed again since the run
+    // are only restored after confirmation. Changes that cannot be undone stay in the journal. The undo
+    // is recorded as a run of its own, so it can be undone in turn.
+    async function undoJournalRun() {
+        const journal = await loadJournal();
+        if (!journal) {
+            alert(`The change journal ${getJournalFilePath()} could not be read, or was written in a newer format. Nothing was undone.`);
+            return;
+        }
+
+        const scriptRuns = journal.runs.filter(r => r.script === JOURNAL_SCRIPT);
+        if (!scriptRuns.length) {
+            alert(`There are no recorded ${JOURNAL_SCRIPT} changes to undo.`);
+            return;
+        }
+
+        const recentRuns = scriptRuns.slice(-15).reverse();
+        const lastRun = recentRuns[0];
+        const runChoice = prompt(`Recent ${JOURNAL_SCRIPT} runs (newest first):\n\n${recentRuns.map(formatJournalRun).join('\n')}\n\nEnter the number of the run to undo (default: the last run):`, String(lastRun.id));
+        if (runChoice === null) return;
+
+        const run = scriptRuns.find(r => r.id === parseInt(runChoice, 10));
+        if (!run) {
+            alert(`There is no ${JOURNAL_SCRIPT} run ${runChoice} in the change journal.`);
+            return;
+        }
+
+        // An item changed more than once in the run is compared with its last change only
+        const lastChanges = new Map(run.changes.map(change => [`${change.libraryID}/${change.key}`, change]));
+        const changes = [];
+        const changedSince = [];
+        let missingCount = 0;
+        for (const change of run.changes) {
+            const item = await Zotero.Items.getByLibraryAndKeyAsync(change.libraryID, change.key);
+            if (!item) {
+                missingCount++;
+                continue;
+            }
+            changes.push({ change, item });
+            if (lastChanges.get(`${change.libraryID}/${change.key}`) !== change) continue;
+            const current = captureItemState(item, getStateParts(change.after));
+            if (JSON.stringify(current) !== JSON.stringify(change.after)) {
+                changedSince.push(item);
+            }
+        }
+
+        let confirmationMessage = `Undo run ${run.id}?\n\n${formatJournalRun(run)}\n\n${changes.length} item(s) will be restored to their previous values.`;
+        if (missingCount) {
+            confirmationMessage += `\n${missingCount} item(s) no longer exist and will be skipped.`;
+        }
+        if (!confirm(confirmationMessage)) return;
+
+        let restoreChangedSince = true;
+        if (changedSince.length) {
+            restoreChangedSince = confirm(`${changedSince.length} item(s) were changed again after this run.\n\nPress OK to restore them anyway (later changes to the same values are lost), or Cancel to leave them as they are.`);
+        }
+
+        const undoRun = startJournalRun(`Undo of run ${run.id}: ${run.description}`);
+        undoRun.undoneRunID = run.id;
+        const remainingChanges = [];
+        let restoredCount = 0;
+        // Restore in reverse order, in case a run changed the same item more than once
+        for (const { change, item } of changes.reverse()) {
+            if (!restoreChangedSince && changedSince.includes(item)) {
+                remainingChanges.unshift(change);
+                continue;
+            }
+            try {
+                const before = captureItemState(item, getStateParts(change.before));
+                await restoreItemState(item, change.before);
+                recordJournalChange(undoRun, item, before);
+                restoredCount++;
+            } catch (error) {
+                console.error(`Could not restore item ${item.id}: ${error.message}`);
+                remainingChanges.unshift(change);
+            }
+        }
+
+        // Undone changes leave the run; the undo itself is added as a new run
+        const currentJournal = await loadJournal();
+        if (currentJournal) {
+            const journalRun = currentJournal.runs.find(r => r.id === run.id);
+            if (journalRun) {
+                journalRun.changes = remainingChanges;
+            }
+            currentJournal.runs = currentJournal.runs.filter(r => r.changes.length);
+            if (undoRun.changes.length) {
+                addJournalRun(currentJournal, undoRun);
+            }
+            try {
+                await saveJournal(currentJournal);
+            } catch (error) {
+                console.error(`Could not write the change journal: ${error.message}`);
+            }
+        }
+
+        alert(`Run ${run.id} undone: ${restoredCount} item(s) restored.${remainingChanges.length ? `\n\n${remainingChanges.length} item(s) were not restored and remain in the change journal.` : ''}${undoRun.id ? `\n\nThe undo was recorded as run ${undoRun.id}, so it can be undone as well.` : ''}`);
+    }
+
     function logTime(label, time) {
         try {
             console.log(`${label}: ${(time / 1000).toFixed(2)} seconds`);
@@ -411,9 +1175,14 @@ async function updateFieldValues(fieldName, selectedField, itemsToEdit, searchRe
 
     try {
         // Prompt the user to choose the scope of items to edit
-        const editScope = prompt("Enter '1' to edit only selected items, '2' to edit all items in the current collection, or '3' to edit all items in a saved search:");
-        if (!['1', '2', '3'].includes(editScope)) {
-            alert("Invalid selection. Please enter '1', '2', or '3'.");
+        const editScope = prompt("Enter '1' to edit only selected items, '2' to edit all items in the current collection, '3' to edit all items in a saved search, or '4' to undo a previous run:");
+        if (!['1', '2', '3', '4'].includes(editScope)) {
+            alert("Invalid selection. Please enter '1', '2', '3', or '4'.");
+            return;
+        }
+
+        if (editScope === '4') {
+            await undoJournalRun();
             return;
         }
 
@@ -423,9 +1192,9 @@ async function updateFieldValues(fieldName, selectedField, itemsToEdit, searchRe
         }
 
         // Prompt the user to choose between modifying fields or item types
-        const editOption = prompt("Do you want to modify fields or item types?\n\nEnter '1' to modify fields or '2' to modify item types:");
-        if (editOption !== '1' && editOption !== '2') {
-            alert("Invalid selection. Please enter '1' or '2'.");
+        const editOption = prompt("Do you want to modify fields or item types?\n\nEnter '1' to modify fields, '2' to modify item types, '3' to copy, move or swap values between fields, or '4' to set a field from a template:");
+        if (!['1', '2', '3', '4'].includes(editOption)) {
+            alert("Invalid selection. Please enter '1', '2', '3', or '4'.");
             return;
         }
 
@@ -439,27 +1208,63 @@ async function updateFieldValues(fieldName, selectedField, itemsToEdit, searchRe
             }
             const fieldName = selectedField.field;
 
-            const search = prompt(`Enter the characters or words to search for in the "${selectedField.localized}" field. Use * as a wildcard. Leave empty to search for blank fields. Use \\ to escape special characters (e.g., C++ becomes C\\+\\+).`, "");
-            if (search === null) {
+            if (fieldName === "creatorType") {
+                // Creator type change process
+                const fromType = autocompletePrompt("Start typing the current creator type:", creatorTypes);
+                if (!fromType) {
+                    alert("Creator type selection canceled or invalid.");
+                    return;
+                }
+                const toType = autocompletePrompt("Start typing the new creator type:", creatorTypes);
+                if (!toType) {
+                    alert("Creator type selection canceled or invalid.");
+                    return;
+                }
+
+                const nameSearch = prompt(`Only change "${fromType.localized}" creators whose name contains these characters or words. Use * as a wildcard. Leave empty to change all of them.`, "");
+                if (nameSearch === null) {
+                    alert("Creator type change canceled.");
+                    return;
+                }
+                const nameRegex = nameSearch === "" ? null : new RegExp(nameSearch.split("*").map(escapeRegExp).join(".*"), "i");
+
+                const confirmationMessage = `You have chosen to edit ${itemsToEdit.length} records.\n\nCreator type: ${fromType.localized} -> ${toType.localized}\nName filter: ${nameSearch || "(all names)"}\n\nDo you want to proceed?`;
+                if (!confirm(confirmationMessage)) {
+                    console.log("User cancelled the editing process.");
+                    return;
+                }
+                console.log(confirmationMessage);
+
+                await updateCreatorTypes(itemsToEdit, fromType, toType, nameRegex);
+                return;
+            }
+
+            // Names can be limited to one creator type (e.g., only editors)
+            let creatorType = null;
+            if ((fieldName === "creatorFirstName" || fieldName === "creatorLastName") && confirm(`Only edit the "${selectedField.localized}" of creators of one type (e.g., only editors)?\n\nPress Cancel to edit all creators.`)) {
+                creatorType = autocompletePrompt("Start typing the creator type:", creatorTypes);
+                if (!creatorType) {
+                    alert("Creator type selection canceled or invalid.");
+                    return;
+                }
+            }
+
+            const searchInput = promptSearchRegex(selectedField);
+            if (!searchInput) {
                 alert("Search operation canceled.");
                 return;
             }
+            const { search, searchRegex } = searchInput;
 
-            const replace = prompt(`Enter the replacement term for the "${selectedField.localized}" field:`, "");
+            const captureGroupHint = searchInput.isRegex ? "\n\nUse $1, $2, ... to insert capture groups and $& to insert the whole match." : "";
+            const replace = prompt(`Enter the replacement term for the "${selectedField.localized}" field:${captureGroupHint}`, "");
             if (replace === null) {
                 alert("Replace operation canceled.");
                 return;
             }
 
-            let searchRegex;
-            if (search === "") {
-                searchRegex = /^$/;
-            } else {
-                const regexPattern = search.split("*").map(escapeRegExp).join(".*");
-                searchRegex = new RegExp(regexPattern, "i");
-            }
-
-            const confirmationMessage = `You have chosen to edit ${itemsToEdit.length} records.\n\nField: ${selectedField.localized}\nSearch term: ${search}\nReplace term: ${replace}\n\nDo you want to proceed?`;
+            const creatorTypeInfo = creatorType ? `\nCreator type: ${creatorType.localized}` : "";
+            const confirmationMessage = `You have chosen to edit ${itemsToEdit.length} records.\n\nField: ${selectedField.localized}${creatorTypeInfo}\n${searchInput.isRegex ? "Regular expression" : "Search term"}: ${search}\nReplace term: ${replace}\n\nDo you want to proceed?`;
             const confirmation = confirm(confirmationMessage);
             if (!confirmation) {
                 console.log("User cancelled the editing process.");
@@ -469,7 +1274,7 @@ async function updateFieldValues(fieldName, selectedField, itemsToEdit, searchRe
 
             try {
                 if (fieldName === "creatorFirstName" || fieldName === "creatorLastName") {
-                    await updateCreators(fieldName, itemsToEdit, searchRegex, replace);
+                    await updateCreators(fieldName, itemsToEdit, searchRegex, replace, creatorType);
                 } else if (fieldName === "note") {
                     await updateNotes(itemsToEdit, searchRegex, replace);
                 } else {
@@ -499,6 +1304,111 @@ async function updateFieldValues(fieldName, selectedField, itemsToEdit, searchRe
             } catch (error) {
                 console.error(`Error in bulk edit script: ${error.message}`);
             }
+        } else if (editOption === '3') {
+            // Field-to-field process
+            const operationOption = prompt("Enter '1' to copy a field to another field, '2' to move a field (the source is emptied), '3' to swap two fields, or '4' to concatenate several fields into one:");
+            const operation = { '1': "copy", '2': "move", '3': "swap", '4': "concatenate" }[operationOption];
+            if (!operation) {
+                alert("Invalid selection. Please enter '1', '2', '3', or '4'.");
+                return;
+            }
+
+            const sourceFields = [];
+            do {
+                const sourceField = autocompletePrompt(`Start typing the name of ${sourceFields.length ? "the next" : "the"} source field${operation === "swap" ? " (the first field to swap)" : ""}:`, itemFields);
+                if (!sourceField) {
+                    alert("Field selection canceled or invalid.");
+                    return;
+                }
+                sourceFields.push(sourceField);
+            } while (operation === "concatenate" && confirm(`Source fields: ${sourceFields.map(field => field.localized).join(", ")}\n\nAdd another source field?`));
+
+            const targetField = autocompletePrompt(`Start typing the name of the ${operation === "swap" ? "second field to swap" : "target field"}:`, itemFields);
+            if (!targetField) {
+                alert("Field selection canceled or invalid.");
+                return;
+            }
+            if (sourceFields.some(field => field.field === targetField.field)) {
+                alert(`"${targetField.localized}" cannot be both a source and the target field.`);
+                return;
+            }
+
+            let policy = "overwrite";
+            if (operation !== "swap") {
+                const policyOption = prompt(`What should happen when "${targetField.localized}" already has a value?\n\nEnter '1' to overwrite it, '2' to append to it, or '3' to only fill items where it is empty:`, "3");
+                policy = { '1': "overwrite", '2': "append", '3': "ifEmpty" }[policyOption];
+                if (!policy) {
+                    alert("Invalid selection. Please enter '1', '2', or '3'.");
+                    return;
+                }
+            }
+
+            let separator = "";
+            if (operation === "concatenate" || policy === "append") {
+                separator = prompt("Enter the separator to put between the joined values (\\n for a new line):", operation === "concatenate" ? " " : "\\n");
+                if (separator === null) {
+                    alert("Operation canceled.");
+                    return;
+                }
+                separator = separator.replace(/\\n/g, "\n");
+            }
+
+            const policyNames = { overwrite: "Overwrite", append: "Append", ifEmpty: "Only if empty" };
+            const confirmationMessage = `You have chosen to edit ${itemsToEdit.length} records.\n\nOperation: ${operation}\nSource field(s): ${sourceFields.map(field => field.localized).join(", ")}\nTarget field: ${targetField.localized}${operation !== "swap" ? `\nExisting values: ${policyNames[policy]}` : ""}\n\nDo you want to proceed?`;
+            if (!confirm(confirmationMessage)) {
+                console.log("User cancelled the editing process.");
+                return;
+            }
+            console.log(confirmationMessage);
+
+            try {
+                await updateFieldToField(itemsToEdit, operation, sourceFields, targetField, policy, separator);
+            } catch (error) {
+                console.error(`Error in bulk edit script: ${error.message}`);
+            }
+        } else if (editOption === '4') {
+            // Template process
+            let expression;
+            let input = 'shortTitle = {title|before:":"}';
+            while (!expression) {
+                input = prompt("Enter the field and the template to set it from, using 'field = template' to replace the value or 'field += template' to add to it.\n\nPlaceholders: {fieldName}, {year}, {creator1.lastName}\nFilters: {title|lowercase}, {title|truncate:50}, {title|before:\":\"}, {title|after:\":\"}, {url|extract:\"doi\\.org/(.*)\"}, {date|date:\"YYYY-MM-DD\"}\n\nExamples:\nshortTitle = {title|before:\":\"}\nextra += \"Citation Key: {creator1.lastName}{year}\"", input);
+                if (input === null) {
+                    alert("Operation canceled.");
+                    return;
+                }
+                try {
+                    expression = parseFieldExpression(input);
+                } catch (error) {
+                    alert(`The template is not valid:\n\n${error.message}\n\nPlease correct it and try again.`);
+                }
+            }
+
+            const { field: targetField, append, template, parts } = expression;
+            // extra holds one entry per line, so added values go on a new line there
+            const appendSeparator = targetField.field === "extra" ? "\n" : " ";
+            const computeValue = (value, item) => {
+                const rendered = renderTemplate(parts, item);
+                if (!rendered) return value;
+                if (!append || !value) return rendered;
+                // Running the same append again leaves the value alone (an exact line in Extra, the end of other fields)
+                const alreadyPresent = targetField.field === "extra"
+                    ? value.split("\n").includes(rendered)
+                    : value.endsWith(`${appendSeparator}${rendered}`);
+                return alreadyPresent ? value : `${value}${appendSeparator}${rendered}`;
+            };
+
+            const confirmationMessage = `You have chosen to edit ${itemsToEdit.length} records.\n\nField: ${targetField.localized}\n${append ? "Add" : "Set to"}: ${template}\n\nItems where the template gives an empty value will not be changed.\n\nDo you want to proceed?`;
+            if (!confirm(confirmationMessage)) {
+                console.log("User cancelled the editing process.");
+                return;
+            }
+            console.log(confirmationMessage);
+
+            try {
+                await updateFieldValues(targetField.field, targetField, itemsToEdit, /^[\s\S]*$/, computeValue, `${append ? "Add" : "Set"} "${template}" ${append ? "to" : "in"} the "${targetField.localized}" field`);
+            } catch (error) {
+                console.error(`Error in bulk edit script: ${error.message}`);
+            }
         }
     } catch (error) {
         console.error(`Error in bulk edit script: ${error.message}`);
@@ -1,7 +1,47 @@
+/**
+ * Zotero Duplicate Detection for Actions and Tags v2.15
+ *
+ * Uses the same detection engine and options as duplicate_enhanced.js v2.15, so both
+ * entry points find the same duplicates with the same scores:
+ * - Exact identifier fast path (URL, DOI, arXiv, PMID, PMCID, ISBN-10/13)
+ * - URL/DOI/ISBN normalization, Levenshtein + Jaccard title matching
+ * - Diacritic, umlaut, ligature, full-width and lookalike folding of titles and names
+ * - Cross-type duplicate detection (optional same-type requirement)
+ * - Weight and threshold profiles and "not a duplicate" exclusions shared with
+ *   duplicate_enhanced.js (JSON files in the Zotero data directory)
+ * - Optional attachment content-hash pass
+ * - Blocking index for large libraries, recursive collection scope
+ *
+ * Item-add trigger: when this script is bound to the "Create Item" event, each new
+ * item is compared against its library with the last-used profile, without prompts.
+ * New items with a likely match are tagged "possible-duplicate" and the matches are
+ * logged. Attachment hashing is skipped, as files usually arrive after the item.
+ *
+ * The detection engine between the BEGIN/END GENERATED ENGINE lines is generated from
+ * duplicate_enhanced.js by tools/sync_engine.js; `node tools/sync_engine.js --check`
+ * reports a copy that is out of date. Profiles and exclusions are managed from
+ * duplicate_enhanced.js.
+ */
+
 const Zotero = require("Zotero");
 const window = require("window");
 
-(async function () {
+// File and hashing APIs of the Zotero window, used by the engine below
+const IOUtils = window.IOUtils;
+const PathUtils = window.PathUtils;
+const crypto = window.crypto;
+
+const VERSION = "2.15";
+
+async function main() {
+    // Item-add trigger: check the new item in the background instead of prompting
+    if (typeof triggerType !== 'undefined' && triggerType === 'createItem') {
+        if (typeof item !== 'undefined' && item && item.isRegularItem()) {
+            await checkNewItemOnAdd(item);
+        }
+        return;
+    }
+
     const startTime = new Date();
 
     // Prevent concurrent duplicate detection processes
@@ -9,34 +49,66 @@ const window = require("window");
         return;
     }
     window.duplicateDetectionRunning = true;
-    Zotero.logError("Starting duplicate detection process.");
+    Zotero.logError(`Starting duplicate detection process v${VERSION}.`);
 
     try {
         // Obtain items to edit based on user selection or collection
         const items = await getItemsToEdit();
         if (!items || items.length === 0) {
             Zotero.logError("No items to process.");
-            window.duplicateDetectionRunning = false;
             return;
         }
 
-        // Initialize and normalize weights for similarity calculation
-        const weights = initializeWeights();
+        // Filter out attachments and notes - only process regular items
+        const regularItems = items.filter(item => item.isRegularItem());
+        if (regularItems.length === 0) {
+            window.alert("No regular items to process (only attachments/notes found).");
+            return;
+        }
+
+        // Weights and default options come from the chosen profile
+        const profile = await selectProfile();
+        if (profile === null) {
+            Zotero.logError("User cancelled the profile selection.");
+            return;
+        }
+
+        const weights = getProfileWeights(profile);
         normalizeWeights(weights);
 
-        // Get user input for similarity threshold and validate it
-        const threshold = getUserInputThreshold(weights);
-        if (threshold === null) {
+        // Get user options (threshold, exact match, fuzzy title, same type, attachment hash)
+        const userPrefs = getUserPreferences(weights, profile);
+        if (userPrefs === null) {
             Zotero.logError("User cancelled the threshold input.");
-            window.duplicateDetectionRunning = false;
             return;
         }
 
+        const { threshold, useExactMatch, useFuzzyTitle, requireSameType, useAttachmentHash, removeStopWords } = userPrefs;
+        Zotero.logError(`Profile: ${profile.name}, threshold=${threshold}, exactMatch=${useExactMatch}, fuzzyTitle=${useFuzzyTitle}, requireSameType=${requireSameType}, attachmentHash=${useAttachmentHash}, removeStopWords=${removeStopWords}`);
+
+        // Pairs previously marked as "not a duplicate"
+        const exclusions = await loadExclusions();
+
         // Detect duplicates based on the specified threshold and weights
-        const potentialDuplicates = await detectPotentialDuplicates(items, threshold, weights);
+        const potentialDuplicates = await detectDuplicates(
+            regularItems,
+            threshold,
+            weights,
+            useExactMatch,
+            useFuzzyTitle,
+            requireSameType,
+            useAttachmentHash,
+            exclusions,
+            null,
+            removeStopWords
+        );
+
+        // Group pairs into clusters of the same record
+        const clusters = buildDuplicateClusters(potentialDuplicates);
+        Zotero.logError(`Found ${potentialDuplicates.length} potential duplicate pairs in ${clusters.length} clusters`);
 
         // Handle any detected duplicates with user interaction
-        await handleDetectedDuplicates(potentialDuplicates);
+        await handleDetectedDuplicates(clusters);
 
     } catch (error) {
         Zotero.logError("Error in duplicate detection: " + error.message);
@@ -46,183 +118,1621 @@ const window = require("window");
         logTime("Total time", endTime - startTime);
         Zotero.logError("Duplicate detection process ended.");
     }
-})();
+}
 
-function initializeWeights() {
-    return {
-        title: 0.4,
-        shortTitle: 0.05,
-        creators: 0.2,
-        date: 0.05,
-        publisher: 0.05,
-        place: 0.05,
-        journal: 0.05,
-        DOI: 0.05,
-        ISBN: 0.05,
-        itemType: 0.05
-    };
+function logTime(label, milliseconds) {
+    Zotero.logError(`${label}: ${(milliseconds / 1000).toFixed(2)} seconds`);
 }
 
 function normalizeWeights(weights) {
-    const totalWeight = Object.values(weights).reduce((sum, value) => sum + value, 0);
+    const totalWeight = Object.values(weights).reduce((a, b) => a + b, 0);
+    if (totalWeight === 0) return;
     for (let key in weights) {
         weights[key] /= totalWeight;
     }
 }
 
-function getUserInputThreshold(weights) {
+function getUserPreferences(weights, profile) {
     const weightsInfo = Object.entries(weights)
-        .map(([key, value]) => `${key}: ${value.toFixed(2)}`)
-        .join("\n");
-    const promptMessage = `Weights used in the similarity calculation:\n${weightsInfo}\nEnter the similarity threshold (0-1):`;
-    const thresholdInput = window.prompt(promptMessage, "0.75");
-    const threshold = parseFloat(thresholdInput);
-
-    if (isNaN(threshold) || threshold < 0 || threshold > 1) {
-        window.alert("Invalid threshold value. Please enter a number between 0 and 1.");
-        return null;
+        .map(([key, value]) => `  ${key}: ${(value * 100).toFixed(1)}%`)
+        .join('\n');
+
+    const defaults = formatProfileOptions(profile);
+    const yesNo = (value) => value ? 'yes' : 'no';
+
+    const message = `Zotero Duplicate Detection v${VERSION}\n\n` +
+        `Profile: ${profile.name}\n` +
+        `Current weights:\n${weightsInfo}\n\n` +
+        `Options (enter comma-separated, e.g., "${defaults}"):\n` +
+        `1. Similarity threshold (0-1, default: ${profile.threshold})\n` +
+        `2. Use exact identifier match (URL/DOI/arXiv/PMID/PMCID/ISBN)? (yes/no, default: ${yesNo(profile.useExactMatch)})\n` +
+        `3. Use fuzzy title matching? (yes/no, default: ${yesNo(profile.useFuzzyTitle)})\n` +
+        `4. Require same item type? (yes/no, default: ${yesNo(profile.requireSameType)})\n` +
+        `5. Compare attachment files (slow on first run)? (yes/no, default: ${yesNo(profile.useAttachmentHash)})\n` +
+        `6. Remove stop words ("the", "of", "und", ...) from titles and publishers? (yes/no, default: ${yesNo(profile.removeStopWords)})\n\n` +
+        `Or just enter a number for threshold with defaults:`;
+
+    const input = window.prompt(message, defaults);
+    
+    if (input === null) return null;
+    
+    const parts = input.trim().split(',').map(s => s.trim().toLowerCase());
+    
+    // Parse threshold
+    const threshold = parseFloat(parts[0]) || profile.threshold;
+    if (threshold < 0 || threshold > 1) {
+        window.alert(`Invalid threshold. Using default ${profile.threshold}`);
     }
-    return threshold;
-}
+    
+    // Parse exact match preference
+    const useExactMatch = parts[1] ? parts[1] !== 'no' : profile.useExactMatch;
+    
+    // Parse fuzzy title preference  
+    const useFuzzyTitle = parts[2] ? parts[2] !== 'no' : profile.useFuzzyTitle;
+    
+    // Parse item type requirement (profile default, normally NO - allow cross-type duplicates)
+    const requireSameType = parts[3] ? parts[3] === 'yes' : profile.requireSameType;
 
-async function detectPotentialDuplicates(items, threshold, weights) {
-    const potentialDuplicates = [];
-    const itemMap = new Map(items.map(item => [item.id, normalizeItemFields(item)]));
+    // Parse attachment hash pass (default: NO - hashing files is slow on first run)
+    const useAttachmentHash = parts[4] ? parts[4] === 'yes' : profile.useAttachmentHash;
 
-    const compareItems = async ([id1, item1], [id2, item2]) => {
-        const similarity = calculateSimilarity(item1, item2, weights);
-        Zotero.logError(`Comparing items ${id1} and ${id2} with similarity: ${similarity}`);
-        if (similarity > threshold) {
-            return { item1: items.find(i => i.id === id1), item2: items.find(i => i.id === id2), similarity };
-        }
-        return null;
+    // Parse stop-word removal (default: NO)
+    const removeStopWords = parts[5] ? parts[5] === 'yes' : !!profile.removeStopWords;
+    
+    return {
+        threshold: Math.max(0, Math.min(1, threshold)),
+        useExactMatch,
+        useFuzzyTitle,
+        requireSameType,
+        useAttachmentHash,
+        removeStopWords
     };
+}
+
+
+// ============================================================================
+// WEIGHT AND THRESHOLD PROFILES
+// ============================================================================
+
+const PROFILES_FILE = 'duplicate-profiles.json';
+
+const WEIGHT_FIELDS = ['URL', 'DOI', 'title', 'creators', 'date', 'publisher', 'journal', 'shortTitle', 'place', 'ISBN', 'itemType'];
 
-    const comparisons = [];
-    for (let [id1, item1] of itemMap) {
-        for (let [id2, item2] of itemMap) {
-            if (id1 !== id2 && !pairAlreadyProcessed(id1, id2)) {
-                comparisons.push(compareItems([id1, item1], [id2, item2]));
-                markPairAsProcessed(id1, id2);
+// Built-in profiles; saved profiles in the data directory take precedence
+const DEFAULT_PROFILES = [
+    {
+        name: "Default",
+        // Weights in priority order: URL, DOI, Title, Author, Year, Publisher/Publication
+        weights: {
+            URL: 0.25,          // Highest - unique identifier
+            DOI: 0.22,          // Second - reliable identifier
+            title: 0.20,        // Third - main content identifier
+            creators: 0.15,     // Fourth - author matching
+            date: 0.10,         // Fifth - year matching
+            publisher: 0.04,    // Sixth - publisher/publication
+            journal: 0.04       // Sixth - publication title
+        },
+        threshold: 0.6,
+        useExactMatch: true,
+        useFuzzyTitle: true,
+        requireSameType: false,
+        useAttachmentHash: false,
+        removeStopWords: false
+    },
+    {
+        name: "Books: ISBN-heavy",
+        weights: { ISBN: 0.30, title: 0.25, creators: 0.20, date: 0.05, publisher: 0.15, place: 0.05 },
+        threshold: 0.65,
+        useExactMatch: true,
+        useFuzzyTitle: true,
+        requireSameType: false,
+        useAttachmentHash: false,
+        removeStopWords: false
+    },
+    {
+        name: "Web clippings: URL-heavy",
+        weights: { URL: 0.50, title: 0.30, date: 0.10, journal: 0.10 },
+        threshold: 0.6,
+        useExactMatch: true,
+        useFuzzyTitle: true,
+        requireSameType: false,
+        useAttachmentHash: false,
+        removeStopWords: false
+    },
+    {
+        name: "Journal articles",
+        weights: { DOI: 0.30, title: 0.25, creators: 0.20, date: 0.10, journal: 0.15 },
+        threshold: 0.65,
+        useExactMatch: true,
+        useFuzzyTitle: true,
+        requireSameType: false,
+        useAttachmentHash: false,
+        removeStopWords: false
+    }
+];
+
+function getProfilesFilePath() {
+    return PathUtils.join(Zotero.DataDirectory.dir, PROFILES_FILE);
+}
+
+/**
+ * Load saved profiles from the Zotero data directory, falling back to the built-in ones.
+ * readFailed is set when the file exists but cannot be read, so that saving does not
+ * replace the custom profiles in it without a backup.
+ */
+async function loadProfiles() {
+    const path = getProfilesFilePath();
+    const store = { lastUsed: DEFAULT_PROFILES[0].name, profiles: JSON.parse(JSON.stringify(DEFAULT_PROFILES)), readFailed: false };
+
+    try {
+        if (await IOUtils.exists(path)) {
+            const data = JSON.parse(await Zotero.File.getContentsAsync(path));
+            if (Array.isArray(data.profiles) && data.profiles.length > 0) {
+                store.profiles = data.profiles;
+            }
+            if (data.lastUsed) {
+                store.lastUsed = data.lastUsed;
             }
         }
+    } catch (error) {
+        store.readFailed = true;
+        Zotero.logError(`Could not read profiles from ${path}: ${error.message}`);
+        window.alert(`Could not read the saved profiles (${error.message}).\nUsing the built-in profiles.`);
+    }
+
+    return store;
+}
+
+async function saveProfiles(store) {
+    const path = getProfilesFilePath();
+    const data = { version: 1, lastUsed: store.lastUsed, profiles: store.profiles };
+    await Zotero.File.putContentsAsync(path, JSON.stringify(data, null, 2));
+}
+
+/**
+ * Full weights object for a profile - fields missing from the profile weigh 0.
+ */
+function getProfileWeights(profile) {
+    const weights = {};
+    for (const field of WEIGHT_FIELDS) {
+        weights[field] = Number(profile.weights[field]) || 0;
     }
+    return weights;
+}
+
+function formatProfileWeights(profile) {
+    return WEIGHT_FIELDS
+        .filter(field => profile.weights[field] > 0)
+        .map(field => `${field}=${profile.weights[field]}`)
+        .join(', ');
+}
+
+function formatProfileOptions(profile) {
+    const yesNo = (value) => value ? 'yes' : 'no';
+    return `${profile.threshold},${yesNo(profile.useExactMatch)},${yesNo(profile.useFuzzyTitle)},${yesNo(profile.requireSameType)},${yesNo(profile.useAttachmentHash)},${yesNo(profile.removeStopWords)}`;
+}
+
+async function selectProfile() {
+    const store = await loadProfiles();
+
+    let defaultIndex = store.profiles.findIndex(p => p.name === store.lastUsed);
+    if (defaultIndex < 0) defaultIndex = 0;
 
-    const results = await Promise.all(comparisons);
-    for (const result of results) {
-        if (result !== null) {
-            potentialDuplicates.push(result);
+    const profileList = store.profiles
+        .map((p, index) => `${index + 1}. ${p.name}\n    ${formatProfileWeights(p)}; threshold ${p.threshold}`)
+        .join('\n');
+
+    const input = window.prompt(
+        `Choose a weight and threshold profile:\n\n${profileList}\n\n` +
+        `Enter choice (1-${store.profiles.length}):`,
+        String(defaultIndex + 1)
+    );
+    if (input === null) return null;
+
+    let index = parseInt(input.trim(), 10) - 1;
+    if (isNaN(index) || index < 0 || index >= store.profiles.length) {
+        window.alert(`Invalid profile number: "${input}". Using "${store.profiles[defaultIndex].name}".`);
+        index = defaultIndex;
+    }
+
+    const profile = store.profiles[index];
+
+    // Remember the choice for the next run, unless the profiles file could not be read
+    if (store.lastUsed !== profile.name && !store.readFailed) {
+        store.lastUsed = profile.name;
+        try {
+            await saveProfiles(store);
+        } catch (error) {
+            Zotero.logError(`Could not save last used profile: ${error.message}`);
         }
     }
 
-    return potentialDuplicates;
+    return profile;
 }
 
-function normalizeItemFields(item) {
-    const fields = ['title', 'shortTitle', 'date', 'publisher', 'place', 'journal', 'DOI', 'ISBN', 'itemType'];
-    const normalizedItem = {};
-    fields.forEach(field => {
-        normalizedItem[field] = normalizeField(item.getField(field));
-    });
-    normalizedItem.creators = normalizeCreators(item.getCreators());
-    normalizedItem.itemType = item.itemType.toLowerCase().trim();
-    Zotero.logError(`Normalized fields for item ${item.id}: ${JSON.stringify(normalizedItem)}`);
-    return normalizedItem;
+
+// ============================================================================
+// "NOT A DUPLICATE" EXCLUSIONS
+// ============================================================================
+
+const EXCLUSIONS_FILE = 'duplicate-exclusions.json';
+
+function getExclusionsFilePath() {
+    return PathUtils.join(Zotero.DataDirectory.dir, EXCLUSIONS_FILE);
+}
+
+/**
+ * Load the exclusion list from the Zotero data directory.
+ * Entries are stored by library ID and item key, so they survive restarts and syncs.
+ */
+async function loadExclusions() {
+    const path = getExclusionsFilePath();
+    let entries = [];
+
+    try {
+        if (await IOUtils.exists(path)) {
+            const data = JSON.parse(await Zotero.File.getContentsAsync(path));
+            entries = Array.isArray(data.exclusions) ? data.exclusions : [];
+        }
+    } catch (error) {
+        Zotero.logError(`Could not read exclusions from ${path}: ${error.message}`);
+        window.alert(`Could not read the "not a duplicate" list (${error.message}).\nContinuing without exclusions.`);
+    }
+
+    const pairKeys = new Set(entries.map(e => getExclusionPairKey(e.libraryID, e.keys[0], e.keys[1])));
+    Zotero.logError(`Loaded ${entries.length} "not a duplicate" exclusions from ${path}`);
+    return { entries, pairKeys };
 }
 
-function normalizeField(field) {
-    return (field || "").replace(/[.,\/#!$%\^&\*;:{}=\-_`~()]/g, "").toLowerCase().trim();
+function getExclusionPairKey(libraryID, key1, key2) {
+    return `${libraryID}:${[key1, key2].sort().join('|')}`;
 }
 
-function normalizeCreators(creators) {
-    return creators.map(creator => `${creator.firstName || ""} ${creator.lastName || creator.name || ""}`.toLowerCase().trim()).join(' ');
+function isExcludedPair(exclusions, original1, original2) {
+    if (original1.libraryID !== original2.libraryID) return false;
+    return exclusions.pairKeys.has(getExclusionPairKey(original1.libraryID, original1.key, original2.key));
 }
 
-function calculateSimilarity(item1, item2, weights) {
-    const fields = ['title', 'shortTitle', 'date', 'publisher', 'place', 'journal', 'DOI', 'ISBN', 'itemType'];
 
-    let totalWeight = 0;
-    let combinedSimilarity = 0;
+// ============================================================================
+// ITEM RETRIEVAL
+// ============================================================================
 
-    fields.forEach(field => {
-        const similarity = jaccardSimilarity(item1[field], item2[field]);
-        combinedSimilarity += similarity * weights[field];
-        totalWeight += weights[field];
-        Zotero.logError(`Field: ${field}, Item1: ${item1[field]}, Item2: ${item2[field]}, Similarity: ${similarity}, Weighted Similarity: ${similarity * weights[field]}`);
+async function getItemsToEdit() {
+    try {
+        const zoteroPane = Zotero.getActiveZoteroPane();
+        
+        const editOption = window.prompt(
+            "Select items to process:\n\n" +
+            "1. Selected items only\n" +
+            "2. Current collection\n" +
+            "3. Current collection + subcollections\n" +
+            "4. Saved search results\n" +
+            "5. Entire library\n\n" +
+            "Enter choice (1-5):",
+            "1"
+        );
+
+        if (editOption === null) return null;
+        
+        const choice = editOption.trim();
+        let items = [];
+        let description = "";
+
+        switch (choice) {
+            case '1':
+                items = zoteroPane.getSelectedItems();
+                if (!items.length) {
+                    window.alert("No items selected.");
+                    return null;
+                }
+                description = `Selected Items (${items.length})`;
+                break;
+
+            case '2':
+                const collection = zoteroPane.getSelectedCollection();
+                if (!collection) {
+                    window.alert("No collection selected.");
+                    return null;
+                }
+                items = await collection.getChildItems();
+                description = `Collection: ${collection.name} (${items.length})`;
+                break;
+
+            case '3':
+                const parentCollection = zoteroPane.getSelectedCollection();
+                if (!parentCollection) {
+                    window.alert("No collection selected.");
+                    return null;
+                }
+                items = await getCollectionItemsRecursive(parentCollection);
+                description = `Collection (recursive): ${parentCollection.name} (${items.length})`;
+                break;
+
+            case '4':
+                const savedSearch = zoteroPane.getSelectedSavedSearch();
+                if (!savedSearch) {
+                    window.alert("No saved search selected.");
+                    return null;
+                }
+                const search = new Zotero.Search();
+                search.libraryID = savedSearch.libraryID;
+                search.addCondition('savedSearchID', 'is', savedSearch.id);
+                const itemIDs = await search.search();
+                if (itemIDs.length === 0) {
+                    window.alert("No items found in the saved search.");
+                    return null;
+                }
+                items = await Zotero.Items.getAsync(itemIDs);
+                description = `Saved Search (${items.length})`;
+                break;
+
+            case '5':
+                const libraryID = zoteroPane.getSelectedLibraryID();
+                items = await Zotero.Items.getAll(libraryID);
+                description = `Entire Library (${items.length})`;
+                break;
+
+            default:
+                items = zoteroPane.getSelectedItems();
+                if (!items.length) {
+                    window.alert("No items selected.");
+                    return null;
+                }
+                description = `Selected Items (${items.length})`;
+        }
+
+        Zotero.logError(`Source: ${description}`);
+        return items;
+
+    } catch (error) {
+        Zotero.logError(`Error getting items: ${error.message}`);
+        window.alert(`Error retrieving items: ${error.message}`);
+        return null;
+    }
+}
+
+async function getCollectionItemsRecursive(collection) {
+    let items = await collection.getChildItems();
+    
+    const childCollections = collection.getChildCollections();
+    for (const childCollection of childCollections) {
+        const childItems = await getCollectionItemsRecursive(childCollection);
+        items = items.concat(childItems);
+    }
+    
+    // Remove duplicates by ID
+    const seen = new Set();
+    return items.filter(item => {
+        if (seen.has(item.id)) return false;
+        seen.add(item.id);
+        return true;
     });
+}
+
+
+// BEGIN GENERATED ENGINE
+// The sections from FIELD NORMALIZATION to DUPLICATE CLUSTERING are copied from
+// duplicate_enhanced.js by tools/sync_engine.js. Do not edit them here: change
+// duplicate_enhanced.js and run `node tools/sync_engine.js` in zotero-duplicate-enhanced.
+
+// ============================================================================
+// FIELD NORMALIZATION
+// ============================================================================
+
+const NORMALIZATION = {
+    transliterateGerman: true,  // In creator names: Müller = Mueller = Muller
+    foldLookalikes: true        // Greek/Cyrillic letters mixed into Latin words
+};
 
-    const creatorSimilarity = jaccardSimilarity(item1.creators, item2.creators);
-    combinedSimilarity += creatorSimilarity * weights.creators;
-    totalWeight += weights.creators;
-    Zotero.logError(`Creators Similarity: ${creatorSimilarity}, Weighted Creators Similarity: ${creatorSimilarity * weights.creators}`);
+// Letters that NFKD does not decompose
+const SPECIAL_LETTERS = {
+    'ß': 'ss', 'ẞ': 'ss', 'æ': 'ae', 'Æ': 'AE', 'œ': 'oe', 'Œ': 'OE', 'ø': 'o', 'Ø': 'O',
+    'ł': 'l', 'Ł': 'L', 'đ': 'd', 'Đ': 'D', 'ð': 'd', 'Ð': 'D', 'þ': 'th', 'Þ': 'TH', 'ı': 'i'
+};
 
-    return combinedSimilarity / totalWeight;
+const SPECIAL_LETTERS_PATTERN = new RegExp(`[${Object.keys(SPECIAL_LETTERS).join('')}]`, 'g');
+
+// Accents on Latin, Greek and Cyrillic letters. Marks in other scripts are part of the
+// letter (Japanese dakuten: ガ is not カ; Indic vowel signs) and are kept.
+const DIACRITICS_PATTERN = /([\p{Script=Latin}\p{Script=Greek}\p{Script=Cyrillic}])\p{M}+/gu;
+
+// Greek and Cyrillic letters that look like Latin ones (e.g., from OCR or copy-paste)
+const LOOKALIKE_LETTERS = {
+    'А': 'A', 'В': 'B', 'Е': 'E', 'К': 'K', 'М': 'M', 'Н': 'H', 'О': 'O', 'Р': 'P', 'С': 'C',
+    'Т': 'T', 'Х': 'X', 'У': 'Y', 'І': 'I', 'Ј': 'J', 'Ѕ': 'S',
+    'а': 'a', 'е': 'e', 'о': 'o', 'р': 'p', 'с': 'c', 'у': 'y', 'х': 'x', 'і': 'i', 'ј': 'j',
+    'ѕ': 's', 'ԁ': 'd', 'һ': 'h', 'ԛ': 'q', 'ԝ': 'w',
+    'Α': 'A', 'Β': 'B', 'Ε': 'E', 'Ζ': 'Z', 'Η': 'H', 'Ι': 'I', 'Κ': 'K', 'Μ': 'M', 'Ν': 'N',
+    'Ο': 'O', 'Ρ': 'P', 'Τ': 'T', 'Υ': 'Y', 'Χ': 'X',
+    'α': 'a', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'ο': 'o', 'ρ': 'p', 'υ': 'u'
+};
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'as', 'at', 'by', 'for', 'from', 'in', 'is', 'of', 'on', 'or', 'the', 'to', 'with',
+    'das', 'der', 'die', 'ein', 'eine', 'im', 'mit', 'und', 'von', 'zu', 'zur',
+    'de', 'des', 'du', 'en', 'et', 'la', 'le', 'les', 'un', 'une',
+    'del', 'el', 'las', 'los', 'y'
+]);
+
+function normalizeItemFields(item, removeStopWords = false) {
+    // Free-text fields that may carry arXiv/PubMed identifiers
+    const identifierSources = ['extra', 'url', 'archiveID', 'DOI']
+        .map(field => item.getField(field) || '')
+        .join('\n');
+
+    const normalized = {
+        id: item.id,
+        originalItem: item,  // CRITICAL: Keep reference to original item
+        title: normalizeField(item.getField('title'), removeStopWords),
+        shortTitle: normalizeField(item.getField('shortTitle')),
+        date: normalizeField(item.getField('date')),
+        publisher: normalizeField(item.getField('publisher'), removeStopWords),
+        place: normalizeField(item.getField('place')),
+        journal: normalizeField(item.getField('publicationTitle') || item.getField('journalAbbreviation')),
+        DOI: normalizeDOI(item.getField('DOI')),
+        ISBN: normalizeISBN(item.getField('ISBN')),
+        URL: normalizeURL(item.getField('url')),
+        arXiv: extractArXivID(identifierSources),
+        PMID: extractPMID(identifierSources),
+        PMCID: extractPMCID(identifierSources),
+        itemType: (item.itemType || '').toLowerCase().trim(),
+        creators: normalizeCreators(item.getCreators()),
+        year: extractYear(item.getField('date'))
+    };
+    
+    return normalized;
+}
+
+/**
+ * Normalize free text for comparison: Unicode NFKD (full-width CJK forms and ligatures
+ * become plain characters), diacritic folding of Latin, Greek and Cyrillic letters
+ * (Schrödinger = Schrodinger; NFC then recomposes other scripts), lookalike
+ * folding, lowercase, punctuation and optional stop-word removal. Creator names
+ * (`isName`) also get the German transliteration.
+ */
+function normalizeField(field, removeStopWords = false, isName = false) {
+    if (!field) return '';
+
+    let text = field.toString()
+        .normalize('NFKD')
+        .replace(DIACRITICS_PATTERN, '$1')
+        .normalize('NFC')
+        .replace(SPECIAL_LETTERS_PATTERN, letter => SPECIAL_LETTERS[letter]);
+
+    if (NORMALIZATION.foldLookalikes) {
+        text = text.replace(/\S+/g, foldLookalikeLetters);
+    }
+
+    text = text
+        .toLowerCase()
+        .replace(/[\p{P}\p{S}]/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    // Umlauts lose their dots above, so also reduce the ae/oe/ue spellings to a/o/u.
+    // Only in names: in other words ae/oe/ue are ordinary letters ("blue", "poet", "due")
+    if (isName && NORMALIZATION.transliterateGerman) {
+        text = text.replace(/([aou])e/g, '$1');
+    }
+
+    if (removeStopWords) {
+        const words = text.split(' ').filter(word => !STOP_WORDS.has(word));
+        // A title made only of stop words is kept as it is
+        if (words.length > 0) {
+            text = words.join(' ');
+        }
+    }
+
+    return text;
+}
+
+/**
+ * Replace Greek/Cyrillic lookalikes in a word that also contains Latin letters.
+ * Words written entirely in Greek or Cyrillic are left alone.
+ */
+function foldLookalikeLetters(word) {
+    if (!/\p{Script=Latin}/u.test(word) || !/[\p{Script=Greek}\p{Script=Cyrillic}]/u.test(word)) {
+        return word;
+    }
+    return word.replace(/[\p{Script=Greek}\p{Script=Cyrillic}]/gu, letter => LOOKALIKE_LETTERS[letter] || letter);
+}
+
+function normalizeDOI(doi) {
+    if (!doi) return '';
+    // Extract DOI pattern (10.xxxx/xxxxx)
+    const match = doi.match(/10\.\d{4,}\/[^\s]+/i);
+    return match ? match[0].toLowerCase() : '';
+}
+
+/**
+ * Normalize an ISBN field to space-separated ISBN-13s, so that an ISBN-10 and
+ * its ISBN-13 compare equal. Fields holding several ISBNs keep all of them.
+ */
+function normalizeISBN(isbn) {
+    if (!isbn) return '';
+
+    // Split on separators between ISBNs; hyphens inside an ISBN are removed first
+    const candidates = isbn
+        .replace(/-/g, '')
+        .split(/[\s,;\/|]+/)
+        .map(s => s.replace(/[^0-9Xx]/g, '').toUpperCase())
+        .filter(s => s.length === 10 || s.length === 13);
+
+    // Fall back to all digits for ISBNs written with spaces (e.g., "0 19 852663 6")
+    if (candidates.length === 0) {
+        candidates.push(isbn.replace(/[^0-9Xx]/g, '').toUpperCase());
+    }
+
+    const isbns = candidates.map(c => c.length === 10 ? isbn10To13(c) : c);
+    return [...new Set(isbns)].sort().join(' ');
+}
+
+function isbn10To13(isbn10) {
+    const core = `978${isbn10.substring(0, 9)}`;
+    if (!/^\d{12}$/.test(core)) return isbn10;
+
+    let sum = 0;
+    for (let i = 0; i < 12; i++) {
+        sum += parseInt(core[i], 10) * (i % 2 === 0 ? 1 : 3);
+    }
+    return core + ((10 - (sum % 10)) % 10);
+}
+
+/**
+ * arXiv ID without version, e.g. "2101.00001" or "hep-th/9901001".
+ * Matches "arXiv:2101.00001v2", arxiv.org/abs|pdf URLs and 10.48550/arXiv.* DOIs.
+ */
+function extractArXivID(text) {
+    if (!text) return '';
+    const match = text.match(/arxiv(?:\.org\/(?:abs|pdf)\/|\s*:\s*|\.)\s*(\d{4}\.\d{4,5}|[a-z\-]+(?:\.[a-z]{2})?\/\d{7})(?:v\d+)?/i);
+    return match ? match[1].toLowerCase() : '';
+}
+
+/**
+ * PubMed ID from "PMID: 12345678" or a PubMed URL.
+ */
+function extractPMID(text) {
+    if (!text) return '';
+    const match = text.match(/\bPMID\s*:\s*(\d{1,9})\b/i) ||
+                  text.match(/pubmed(?:\.ncbi\.nlm\.nih\.gov)?\/(\d{1,9})(?!\d)/i);
+    return match ? match[1] : '';
+}
+
+/**
+ * PubMed Central ID, normalized to "PMC1234567".
+ */
+function extractPMCID(text) {
+    if (!text) return '';
+    const match = text.match(/\bPMCID\s*:\s*(?:PMC)?(\d{1,9})\b/i) ||
+                  text.match(/\bPMC(\d{1,9})\b/i);
+    return match ? `PMC${match[1]}` : '';
+}
+
+function normalizeURL(url) {
+    if (!url) return '';
+    // Remove protocol and trailing slashes
+    return url.replace(/^https?:\/\//, '').replace(/\/+$/, '').toLowerCase();
+}
+
+function normalizeCreators(creators) {
+    if (!creators || !creators.length) return '';
+    return creators
+        .map(c => normalizeField(`${c.firstName || ''} ${c.lastName || c.name || ''}`, false, true))
+        .filter(n => n.length > 0)
+        .sort()
+        .join(' ');
+}
+
+function extractYear(dateStr) {
+    if (!dateStr) return '';
+    const match = dateStr.match(/\b(19|20)\d{2}\b/);
+    return match ? match[0] : '';
 }
 
+
+// ============================================================================
+// SIMILARITY ALGORITHMS
+// ============================================================================
+
 function jaccardSimilarity(str1, str2) {
-    const set1 = new Set(str1.split(/\s+/));
-    const set2 = new Set(str2.split(/\s+/));
+    if (!str1 && !str2) return 1.0;  // Both empty = identical
+    if (!str1 || !str2) return 0.0;  // One empty = no similarity
+    
+    const set1 = new Set(str1.split(/\s+/).filter(s => s.length > 0));
+    const set2 = new Set(str2.split(/\s+/).filter(s => s.length > 0));
+    
+    if (set1.size === 0 && set2.size === 0) return 1.0;
+    if (set1.size === 0 || set2.size === 0) return 0.0;
+    
     const intersection = new Set([...set1].filter(x => set2.has(x)));
     const union = new Set([...set1, ...set2]);
+    
     return intersection.size / union.size;
 }
 
-const processedPairs = new Set();
+function levenshteinDistance(str1, str2) {
+    if (!str1) return str2 ? str2.length : 0;
+    if (!str2) return str1.length;
+    
+    const m = str1.length;
+    const n = str2.length;
+    
+    // Use single array optimization for memory efficiency
+    let prev = Array(n + 1).fill(0).map((_, i) => i);
+    let curr = Array(n + 1).fill(0);
+    
+    for (let i = 1; i <= m; i++) {
+        curr[0] = i;
+        for (let j = 1; j <= n; j++) {
+            const cost = str1[i - 1] === str2[j - 1] ? 0 : 1;
+            curr[j] = Math.min(
+                prev[j] + 1,      // deletion
+                curr[j - 1] + 1,  // insertion
+                prev[j - 1] + cost // substitution
+            );
+        }
+        [prev, curr] = [curr, prev];
+    }
+    
+    return prev[n];
+}
+
+function levenshteinSimilarity(str1, str2) {
+    if (!str1 && !str2) return 1.0;
+    if (!str1 || !str2) return 0.0;
+    
+    const maxLen = Math.max(str1.length, str2.length);
+    if (maxLen === 0) return 1.0;
+    
+    const distance = levenshteinDistance(str1, str2);
+    return 1 - (distance / maxLen);
+}
 
-function pairAlreadyProcessed(id1, id2) {
-    const pairKey = [id1, id2].sort().join("-");
-    return processedPairs.has(pairKey);
+function combinedTitleSimilarity(title1, title2, useFuzzy = true) {
+    const jaccard = jaccardSimilarity(title1, title2);
+    
+    if (!useFuzzy) return jaccard;
+    
+    // For short titles, Levenshtein is more reliable
+    // For long titles, Jaccard handles word reordering better
+    const levenshtein = levenshteinSimilarity(title1, title2);
+    
+    // Weight based on title length
+    const avgLen = (title1.length + title2.length) / 2;
+    const levenshteinWeight = Math.max(0, 1 - (avgLen / 100));
+    
+    return (jaccard * (1 - levenshteinWeight)) + (levenshtein * levenshteinWeight);
 }
 
-function markPairAsProcessed(id1, id2) {
-    const pairKey = [id1, id2].sort().join("-");
-    processedPairs.add(pairKey);
+
+// ============================================================================
+// DUPLICATE DETECTION
+// ============================================================================
+
+function calculateSimilarity(item1, item2, weights, useFuzzyTitle = true, requireSameType = false) {
+    return calculateSimilarityBreakdown(item1, item2, weights, useFuzzyTitle, requireSameType).similarity;
 }
 
-async function handleDetectedDuplicates(duplicates) {
-    if (duplicates.length === 0) {
+/**
+ * Score two normalized items field by field.
+ * Returns the combined similarity plus, for every field that was weighted,
+ * its raw score, its share of the total weight and its contribution to the result.
+ */
+function calculateSimilarityBreakdown(item1, item2, weights, useFuzzyTitle = true, requireSameType = false) {
+    // If requiring same type and types don't match, return 0
+    if (requireSameType && item1.itemType !== item2.itemType) {
+        return { similarity: 0, fields: [] };
+    }
+
+    const scores = [];
+
+    // 1. URL (highest priority) - exact match
+    if (weights.URL > 0) {
+        const urlSim = item1.URL && item2.URL && item1.URL === item2.URL ? 1.0 : 
+                       jaccardSimilarity(item1.URL, item2.URL);
+        scores.push({ field: 'URL', score: urlSim });
+    }
+
+    // 2. DOI (second priority) - exact match
+    if (weights.DOI > 0) {
+        const doiSim = item1.DOI && item2.DOI && item1.DOI === item2.DOI ? 1.0 : 0.0;
+        scores.push({ field: 'DOI', score: doiSim });
+    }
+
+    // 3. Title (third priority) - with optional fuzzy matching
+    if (weights.title > 0) {
+        const titleSim = combinedTitleSimilarity(item1.title, item2.title, useFuzzyTitle);
+        scores.push({ field: 'title', score: titleSim });
+    }
+
+    // 4. Creators/Authors (fourth priority)
+    if (weights.creators > 0) {
+        const creatorSim = jaccardSimilarity(item1.creators, item2.creators);
+        scores.push({ field: 'creators', score: creatorSim });
+    }
+
+    // 5. Date/Year (fifth priority) - exact year match is more meaningful
+    if (weights.date > 0) {
+        const dateSim = item1.year && item2.year && item1.year === item2.year ? 1.0 : 
+                        jaccardSimilarity(item1.date, item2.date);
+        scores.push({ field: 'date', score: dateSim });
+    }
+
+    // 6. Publisher (sixth priority)
+    if (weights.publisher > 0) {
+        const pubSim = jaccardSimilarity(item1.publisher, item2.publisher);
+        scores.push({ field: 'publisher', score: pubSim });
+    }
+
+    // 6. Journal/Publication (sixth priority, tied with publisher)
+    if (weights.journal > 0) {
+        const journalSim = jaccardSimilarity(item1.journal, item2.journal);
+        scores.push({ field: 'journal', score: journalSim });
+    }
+
+    // Lower priority fields (only if weight > 0)
+    const lowPriorityFields = ['shortTitle', 'place', 'ISBN'];
+    for (const field of lowPriorityFields) {
+        if (weights[field] > 0) {
+            const sim = jaccardSimilarity(item1[field], item2[field]);
+            scores.push({ field, score: sim });
+        }
+    }
+
+    // Item type handling
+    if (weights.itemType > 0) {
+        if (requireSameType) {
+            scores.push({ field: 'itemType', score: 1.0 });
+        }
+        // If not requiring same type, skip itemType weight entirely
+    }
+
+    let totalWeight = 0;
+    let combinedSimilarity = 0;
+    for (const { field, score } of scores) {
+        combinedSimilarity += score * weights[field];
+        totalWeight += weights[field];
+    }
+
+    const fields = scores.map(({ field, score }) => ({
+        field,
+        score,
+        weight: totalWeight > 0 ? weights[field] / totalWeight : 0,
+        contribution: totalWeight > 0 ? (score * weights[field]) / totalWeight : 0
+    }));
+
+    return {
+        similarity: totalWeight > 0 ? combinedSimilarity / totalWeight : 0,
+        fields
+    };
+}
+
+/**
+ * One line per field, e.g. "  title: 92.0% x 20.0% weight = 18.4 pts"
+ */
+function formatSimilarityBreakdown(breakdown, indent = '  ') {
+    if (!breakdown || breakdown.fields.length === 0) return `${indent}(no field breakdown)`;
+    return breakdown.fields
+        .map(f => `${indent}${f.field}: ${(f.score * 100).toFixed(1)}% x ${(f.weight * 100).toFixed(1)}% weight = ${(f.contribution * 100).toFixed(1)} pts`)
+        .join('\n');
+}
+
+/**
+ * Compact single-line form for prompts, highest contributions first,
+ * e.g. "title 92% (+18.4), creators 100% (+15.0), URL 0% (+0.0)"
+ */
+function formatSimilarityBreakdownShort(breakdown) {
+    if (!breakdown || breakdown.fields.length === 0) return '';
+    return [...breakdown.fields]
+        .sort((a, b) => b.contribution - a.contribution)
+        .map(f => `${f.field} ${(f.score * 100).toFixed(0)}% (+${(f.contribution * 100).toFixed(1)})`)
+        .join(', ');
+}
+
+// Chapters and proceedings papers carry the ISBN of the book they appear in
+const ISBN_SHARED_TYPES = ['booksection', 'conferencepaper'];
+
+function checkExactIdentifierMatch(item1, item2) {
+    // URL match (highest priority)
+    if (item1.URL && item2.URL && item1.URL === item2.URL) {
+        return { match: true, type: 'URL', value: item1.URL };
+    }
+    
+    // DOI match (second priority)
+    if (item1.DOI && item2.DOI && item1.DOI === item2.DOI) {
+        return { match: true, type: 'DOI', value: item1.DOI };
+    }
+
+    // Repository identifiers
+    for (const type of ['arXiv', 'PMID', 'PMCID']) {
+        if (item1[type] && item2[type] && item1[type] === item2[type]) {
+            return { match: true, type, value: item1[type] };
+        }
+    }
+
+    // ISBN match (any shared ISBN, ISBN-10 and ISBN-13 are equivalent)
+    if (item1.ISBN && item2.ISBN &&
+        !ISBN_SHARED_TYPES.includes(item1.itemType) && !ISBN_SHARED_TYPES.includes(item2.itemType)) {
+        const isbns2 = item2.ISBN.split(' ');
+        const shared = item1.ISBN.split(' ').find(isbn => isbns2.includes(isbn));
+        if (shared) {
+            return { match: true, type: 'ISBN', value: shared };
+        }
+    }
+    
+    return { match: false };
+}
+
+async function detectDuplicates(items, threshold, weights, useExactMatch, useFuzzyTitle, requireSameType, useAttachmentHash = false, exclusions = null, pairFilter = null, removeStopWords = false, stats = {}) {
+    const potentialDuplicates = [];
+    const normalizedItems = [];
+
+    Zotero.logError(`Normalizing ${items.length} items...`);
+    
+    // Normalize all items first
+    for (const item of items) {
+        normalizedItems.push(normalizeItemFields(item, removeStopWords));
+    }
+
+    // Optional: hash the stored files of each item's attachments
+    if (useAttachmentHash) {
+        stats.ignoredSharedFiles = await hashItemAttachments(normalizedItems);
+    }
+
+    // Small sets are compared exhaustively; larger ones go through the blocking index
+    let candidatePairs = normalizedItems.length < BLOCKING.minItems
+        ? generateAllPairs(normalizedItems.length)
+        : buildCandidatePairs(normalizedItems);
+
+    // Keep only the pairs the caller is interested in (compared as original Zotero items)
+    if (pairFilter) {
+        candidatePairs = candidatePairs.filter(([i, j]) => pairFilter(normalizedItems[i].originalItem, normalizedItems[j].originalItem));
+    }
+
+    // Progress reporting
+    const totalComparisons = candidatePairs.length;
+    const allPairsCount = (normalizedItems.length * (normalizedItems.length - 1)) / 2;
+    let comparisonsDone = 0;
+    let lastProgress = 0;
+    let excludedCount = 0;
+
+    Zotero.logError(`Starting ${totalComparisons} comparisons (all pairs: ${allPairsCount})...`);
+    Zotero.logError(`Cross-type duplicates: ${requireSameType ? 'DISABLED' : 'ENABLED'}`);
+
+    // Compare candidate pairs
+    for (const [i, j] of candidatePairs) {
+        const item1 = normalizedItems[i];
+        const item2 = normalizedItems[j];
+        comparisonsDone++;
+        
+        // Progress reporting every 10%
+        const progress = Math.floor((comparisonsDone / totalComparisons) * 10);
+        if (progress > lastProgress) {
+            Zotero.logError(`Progress: ${progress * 10}% (${comparisonsDone}/${totalComparisons})`);
+            lastProgress = progress;
+        }
+
+        // Yield to the UI periodically so large libraries don't freeze Zotero
+        if (comparisonsDone % BLOCKING.yieldEvery === 0) {
+            await Zotero.Promise.delay(0);
+        }
+
+        // Skip pairs the user marked as "not a duplicate"
+        if (exclusions && isExcludedPair(exclusions, item1.originalItem, item2.originalItem)) {
+            excludedCount++;
+            continue;
+        }
+
+        let isDuplicate = false;
+        let similarity = 0;
+        let matchReason = '';
+        let breakdown = null;
+
+        // Check exact identifier match first (fast path)
+        // Note: DOI/ISBN matches should work across item types
+        if (useExactMatch) {
+            const exactMatch = checkExactIdentifierMatch(item1, item2);
+            if (exactMatch.match) {
+                isDuplicate = true;
+                similarity = 1.0;
+                matchReason = `Exact ${exactMatch.type} match: ${exactMatch.value}`;
+                
+                // Add item type info if different
+                if (item1.itemType !== item2.itemType) {
+                    matchReason += ` (types differ: ${item1.itemType} vs ${item2.itemType})`;
+                }
+            }
+        }
+
+        // Byte-identical attachment files are exact duplicates regardless of metadata
+        if (!isDuplicate && useAttachmentHash) {
+            const sharedFile = findSharedAttachment(item1, item2);
+            if (sharedFile) {
+                isDuplicate = true;
+                similarity = 1.0;
+                matchReason = `Identical attachment: ${sharedFile}`;
+
+                // Add item type info if different
+                if (item1.itemType !== item2.itemType) {
+                    matchReason += ` (types differ: ${item1.itemType} vs ${item2.itemType})`;
+                }
+            }
+        }
+
+        // If no exact match, calculate similarity
+        if (!isDuplicate) {
+            breakdown = calculateSimilarityBreakdown(item1, item2, weights, useFuzzyTitle, requireSameType);
+            similarity = breakdown.similarity;
+            if (similarity >= threshold) {
+                isDuplicate = true;
+                matchReason = `Similarity: ${(similarity * 100).toFixed(1)}%`;
+                
+                // Add item type info if different
+                if (item1.itemType !== item2.itemType) {
+                    matchReason += ` (types differ: ${item1.itemType} vs ${item2.itemType})`;
+                }
+            }
+        }
+
+        if (isDuplicate) {
+            // Exact matches skip scoring; compute the breakdown so reviewers still see it
+            if (!breakdown) {
+                breakdown = calculateSimilarityBreakdown(item1, item2, weights, useFuzzyTitle, requireSameType);
+            }
+            potentialDuplicates.push({
+                item1: item1,
+                item2: item2,
+                similarity: similarity,
+                reason: matchReason,
+                breakdown: breakdown
+            });
+        }
+    }
+
+    if (excludedCount > 0) {
+        Zotero.logError(`Skipped ${excludedCount} pairs marked as "not a duplicate"`);
+    }
+
+    // Sort by similarity (highest first)
+    potentialDuplicates.sort((a, b) => b.similarity - a.similarity);
+
+    return potentialDuplicates;
+}
+
+
+// ============================================================================
+// ATTACHMENT CONTENT HASHING
+// ============================================================================
+
+const HASH_CACHE_FILE = 'duplicate-attachment-hashes.json';
+
+const ATTACHMENT_HASHING = {
+    minFileSize: 1024,      // Empty and tiny files (placeholders, stubs) are not compared
+    maxItemsPerHash: 3      // A file shared by more items with different titles or DOIs is boilerplate (e.g., a publisher cover sheet)
+};
+
+function getHashCacheFilePath() {
+    return PathUtils.join(Zotero.DataDirectory.dir, HASH_CACHE_FILE);
+}
+
+async function loadHashCache() {
+    const path = getHashCacheFilePath();
+    try {
+        if (await IOUtils.exists(path)) {
+            const data = JSON.parse(await Zotero.File.getContentsAsync(path));
+            return data.files || {};
+        }
+    } catch (error) {
+        Zotero.logError(`Could not read attachment hash cache from ${path}: ${error.message}`);
+    }
+    return {};
+}
+
+async function saveHashCache(cache) {
+    const path = getHashCacheFilePath();
+    const data = { version: 1, algorithm: 'SHA-256', files: cache };
+    await Zotero.File.putContentsAsync(path, JSON.stringify(data));
+}
+
+async function hashFile(path) {
+    const bytes = await IOUtils.read(path);
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return Array.from(new Uint8Array(digest))
+        .map(b => b.toString(16).padStart(2, '0'))
+        .join('');
+}
+
+/**
+ * Set `attachmentHashes` (Map of hash -> filename) on each normalized item.
+ * Hashes are cached by path and reused while the file's mtime and size are unchanged.
+ * Files below ATTACHMENT_HASHING.minFileSize are left out, and so are hashes shared by more
+ * than ATTACHMENT_HASHING.maxItemsPerHash items that are different records, as they do not
+ * identify a record. Returns the number of shared files that were left out.
+ */
+async function hashItemAttachments(normalizedItems) {
+    const cache = await loadHashCache();
+    const seenPaths = new Set();
+    let hashed = 0;
+    let cached = 0;
+    let tooSmall = 0;
+    let failed = 0;
+
+    Zotero.logError(`Hashing attachment files of ${normalizedItems.length} items...`);
+
+    for (let i = 0; i < normalizedItems.length; i++) {
+        const normalizedItem = normalizedItems[i];
+        normalizedItem.attachmentHashes = new Map();
+
+        const attachments = Zotero.Items.get(normalizedItem.originalItem.getAttachments());
+        for (const attachment of attachments) {
+            if (!attachment.isFileAttachment()) continue;
+
+            const path = await attachment.getFilePathAsync();
+            if (!path) continue;  // File not stored locally
+            seenPaths.add(path);
+
+            try {
+                const stat = await IOUtils.stat(path);
+                if (stat.size < ATTACHMENT_HASHING.minFileSize) {
+                    tooSmall++;
+                    continue;
+                }
+
+                const entry = cache[path];
+                let hash;
+                if (entry && entry.mtime === stat.lastModified && entry.size === stat.size) {
+                    hash = entry.hash;
+                    cached++;
+                } else {
+                    hash = await hashFile(path);
+                    cache[path] = { mtime: stat.lastModified, size: stat.size, hash };
+                    hashed++;
+                }
+                normalizedItem.attachmentHashes.set(hash, PathUtils.filename(path));
+            } catch (error) {
+                Zotero.logError(`Could not hash attachment ${path}: ${error.message}`);
+                failed++;
+            }
+        }
+
+        if ((i + 1) % 100 === 0) {
+            Zotero.logError(`Hashing progress: ${i + 1}/${normalizedItems.length} items`);
+            await Zotero.Promise.delay(0);
+        }
+    }
+
+    Zotero.logError(`Attachment hashes: ${hashed} computed, ${cached} from cache, ${tooSmall} too small, ${failed} failed`);
+
+    // Drop hashes that many different records share. Several imported copies of the
+    // same paper agree on their title and DOI, so they keep their shared file.
+    const itemsPerHash = new Map();
+    for (const normalizedItem of normalizedItems) {
+        for (const hash of normalizedItem.attachmentHashes.keys()) {
+            if (!itemsPerHash.has(hash)) itemsPerHash.set(hash, []);
+            itemsPerHash.get(hash).push(normalizedItem);
+        }
+    }
+    const commonHashes = [...itemsPerHash]
+        .filter(([, sharingItems]) => sharingItems.length > ATTACHMENT_HASHING.maxItemsPerHash && !isSameRecord(sharingItems))
+        .map(([hash]) => hash);
+    if (commonHashes.length) {
+        for (const normalizedItem of normalizedItems) {
+            commonHashes.forEach(hash => normalizedItem.attachmentHashes.delete(hash));
+        }
+        Zotero.logError(`Ignoring ${commonHashes.length} attachment file(s) shared by more than ${ATTACHMENT_HASHING.maxItemsPerHash} items with different titles or DOIs`);
+    }
+
+    // Remove cache entries of files that no longer exist or are now too small
+    let pruned = 0;
+    for (const path of Object.keys(cache)) {
+        const stale = seenPaths.has(path)
+            ? cache[path].size < ATTACHMENT_HASHING.minFileSize
+            : !(await IOUtils.exists(path));
+        if (stale) {
+            delete cache[path];
+            pruned++;
+        }
+    }
+    if (pruned) {
+        Zotero.logError(`Removed ${pruned} stale entries from the attachment hash cache`);
+    }
+
+    try {
+        await saveHashCache(cache);
+    } catch (error) {
+        Zotero.logError(`Could not save attachment hash cache: ${error.message}`);
+    }
+
+    return commonHashes.length;
+}
+
+/**
+ * True if the normalized items have at most one distinct title and one distinct DOI
+ * (empty values are ignored), i.e., they are copies of the same record.
+ */
+function isSameRecord(normalizedItems) {
+    const countDistinct = (values) => new Set(values.filter(Boolean)).size;
+    return countDistinct(normalizedItems.map(item => item.title)) <= 1
+        && countDistinct(normalizedItems.map(item => item.DOI)) <= 1;
+}
+
+/**
+ * Filename of an attachment file both items share, or null.
+ */
+function findSharedAttachment(item1, item2) {
+    if (!item1.attachmentHashes || !item2.attachmentHashes) return null;
+    for (const [hash, filename] of item1.attachmentHashes) {
+        if (item2.attachmentHashes.has(hash)) return filename;
+    }
+    return null;
+}
+
+
+// ============================================================================
+// CANDIDATE GENERATION (BLOCKING)
+// ============================================================================
+
+const BLOCKING = {
+    minItems: 500,          // Below this, compare all pairs
+    maxBlockSize: 100,      // Title token blocks larger than this are too common to be useful
+    minTokenLength: 4,      // Ignore short title words ("the", "of", "and"...)
+    windowSize: 10,         // Sorted-neighborhood window
+    yieldEvery: 5000        // Comparisons between UI yields
+};
+
+function generateAllPairs(count) {
+    const pairs = [];
+    for (let i = 0; i < count; i++) {
+        for (let j = i + 1; j < count; j++) {
+            pairs.push([i, j]);
+        }
+    }
+    return pairs;
+}
+
+function buildCandidatePairs(normalizedItems) {
+    const count = normalizedItems.length;
+    const seen = new Set();
+    const pairs = [];
+
+    const addPair = (a, b) => {
+        if (a === b) return;
+        const i = Math.min(a, b);
+        const j = Math.max(a, b);
+        const key = i * count + j;
+        if (seen.has(key)) return;
+        seen.add(key);
+        pairs.push([i, j]);
+    };
+
+    const addBlock = (indices) => {
+        for (let x = 0; x < indices.length; x++) {
+            for (let y = x + 1; y < indices.length; y++) {
+                addPair(indices[x], indices[y]);
+            }
+        }
+    };
+
+    // 1. Exact identifier buckets (always compared, regardless of bucket size)
+    for (const field of ['DOI', 'ISBN', 'URL', 'arXiv', 'PMID', 'PMCID']) {
+        const buckets = bucketBy(normalizedItems, item => item[field] ? item[field].split(' ') : []);
+        for (const indices of buckets.values()) {
+            addBlock(indices);
+        }
+    }
+    // Attachment file hashes, when the hash pass is enabled
+    const hashBuckets = bucketBy(normalizedItems, item => item.attachmentHashes ? [...item.attachmentHashes.keys()] : []);
+    for (const indices of hashBuckets.values()) {
+        addBlock(indices);
+    }
+    const identifierPairs = pairs.length;
+
+    // 2. Title token blocks - items sharing at least one distinctive title word
+    const titleBuckets = bucketBy(normalizedItems, item => getTitleBlockingTokens(item.title));
+    let skippedBlocks = 0;
+    for (const indices of titleBuckets.values()) {
+        if (indices.length > BLOCKING.maxBlockSize) {
+            skippedBlocks++;
+            continue;
+        }
+        addBlock(indices);
+    }
+    const titlePairs = pairs.length - identifierPairs;
+
+    // 3. Sorted neighborhood - catches typos in otherwise distinctive words
+    const sortKeys = [
+        item => item.title.replace(/\s+/g, ''),
+        item => `${item.creators} ${item.year}`
+    ];
+    for (const sortKey of sortKeys) {
+        const order = normalizedItems
+            .map((item, index) => ({ index, key: sortKey(item) }))
+            .filter(entry => entry.key.trim().length > 0)
+            .sort((a, b) => a.key < b.key ? -1 : a.key > b.key ? 1 : 0);
+        for (let x = 0; x < order.length; x++) {
+            for (let y = x + 1; y < Math.min(order.length, x + BLOCKING.windowSize); y++) {
+                addPair(order[x].index, order[y].index);
+            }
+        }
+    }
+    const neighborhoodPairs = pairs.length - identifierPairs - titlePairs;
+
+    Zotero.logError(`Blocking index: ${identifierPairs} identifier pairs, ${titlePairs} title-block pairs ` +
+        `(${skippedBlocks} oversized blocks skipped), ${neighborhoodPairs} sorted-neighborhood pairs`);
+
+    return pairs;
+}
+
+function bucketBy(normalizedItems, getKeys) {
+    const buckets = new Map();
+    normalizedItems.forEach((item, index) => {
+        for (const key of getKeys(item)) {
+            if (!buckets.has(key)) buckets.set(key, []);
+            buckets.get(key).push(index);
+        }
+    });
+    return buckets;
+}
+
+function getTitleBlockingTokens(title) {
+    if (!title) return [];
+    const tokens = title.split(/\s+/).filter(t => t.length >= BLOCKING.minTokenLength);
+    return [...new Set(tokens)];
+}
+
+
+// ============================================================================
+// INCREMENTAL CANDIDATES
+// ============================================================================
+
+/**
+ * Find the library items that share a blocking key with the new items: an identifier,
+ * a distinctive title word, or the first creator and year. Keys are looked up with
+ * Zotero searches, so the rest of the library is neither loaded nor normalized.
+ * Returns the items to compare (new items first) and a Map of new item ID -> Set of
+ * candidate item IDs.
+ */
+async function findIncrementalCandidates(newItems, libraryID) {
+    const candidates = new Map();
+    const candidateIDs = new Set();
+    let skippedSearches = 0;
+
+    for (const newItem of newItems) {
+        const ids = new Set();
+        for (const { conditions, identifier } of getBlockingSearches(normalizeItemFields(newItem))) {
+            const search = new Zotero.Search();
+            search.libraryID = libraryID;
+            for (const [condition, operator, value] of conditions) {
+                search.addCondition(condition, operator, value);
+            }
+            const found = await search.search();
+
+            // Like oversized title blocks, keys that match too many items are not useful
+            if (!identifier && found.length > BLOCKING.maxBlockSize) {
+                skippedSearches++;
+                continue;
+            }
+            found.forEach(id => ids.add(id));
+        }
+        ids.delete(newItem.id);
+        ids.forEach(id => candidateIDs.add(id));
+        candidates.set(newItem.id, ids);
+    }
+
+    const newItemIDs = new Set(newItems.map(newItem => newItem.id));
+    const candidateItems = (await Zotero.Items.getAsync([...candidateIDs].filter(id => !newItemIDs.has(id))))
+        .filter(candidate => candidate && !candidate.deleted && candidate.isRegularItem());
+
+    Zotero.logError(`Incremental candidates: ${candidateItems.length} library items share a blocking key with ${newItems.length} new items (${skippedSearches} common keys skipped)`);
+
+    return { items: [...newItems, ...candidateItems], candidates };
+}
+
+/**
+ * Searches for the blocking keys of a normalized item. Identifier searches are always
+ * used; the others are dropped when they match more than BLOCKING.maxBlockSize items.
+ */
+function getBlockingSearches(normalizedItem) {
+    const searches = [];
+    const original = normalizedItem.originalItem;
+    const addSearch = (identifier, ...conditions) => searches.push({ identifier, conditions });
+
+    if (normalizedItem.DOI) addSearch(true, ['DOI', 'contains', normalizedItem.DOI]);
+    for (const isbn of normalizedItem.ISBN ? normalizedItem.ISBN.split(' ') : []) {
+        // The nine digits an ISBN-13 shares with its ISBN-10 find both forms
+        addSearch(true, ['ISBN', 'contains', isbn.slice(3, 12)]);
+    }
+    if (normalizedItem.URL) addSearch(true, ['url', 'contains', normalizedItem.URL]);
+    for (const identifier of [normalizedItem.arXiv, normalizedItem.PMID, normalizedItem.PMCID].filter(Boolean)) {
+        addSearch(false, ['quicksearch-fields', 'contains', identifier]);
+    }
+
+    // Distinctive words of the title as it is stored (the search does not fold diacritics)
+    const titleWords = (original.getField('title') || '')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(word => word.length >= BLOCKING.minTokenLength && !STOP_WORDS.has(word));
+    for (const word of new Set(titleWords)) {
+        addSearch(false, ['title', 'contains', word]);
+    }
+
+    // Stands in for the creators/year sorted neighborhood
+    const firstCreator = original.getCreators()[0];
+    const lastName = firstCreator && (firstCreator.lastName || firstCreator.name);
+    if (lastName && normalizedItem.year) {
+        addSearch(false, ['creator', 'contains', lastName], ['year', 'is', normalizedItem.year]);
+    }
+
+    return searches;
+}
+
+/**
+ * Whether a pair is a new item and one of its candidates.
+ */
+function isIncrementalCandidatePair(candidates, item1, item2) {
+    return (candidates.has(item1.id) && candidates.get(item1.id).has(item2.id)) ||
+        (candidates.has(item2.id) && candidates.get(item2.id).has(item1.id));
+}
+
+
+// ============================================================================
+// DUPLICATE CLUSTERING
+// ============================================================================
+
+/**
+ * Group duplicate pairs into connected clusters using union-find, so that
+ * three copies of the same item become one cluster instead of three pairs.
+ */
+function buildDuplicateClusters(duplicates) {
+    const parent = new Map();
+
+    const find = (id) => {
+        let root = id;
+        while (parent.get(root) !== root) root = parent.get(root);
+        // Path compression
+        while (parent.get(id) !== root) {
+            const next = parent.get(id);
+            parent.set(id, root);
+            id = next;
+        }
+        return root;
+    };
+
+    const union = (id1, id2) => {
+        if (!parent.has(id1)) parent.set(id1, id1);
+        if (!parent.has(id2)) parent.set(id2, id2);
+        const root1 = find(id1);
+        const root2 = find(id2);
+        if (root1 !== root2) parent.set(root2, root1);
+    };
+
+    for (const { item1, item2 } of duplicates) {
+        union(item1.id, item2.id);
+    }
+
+    const clustersByRoot = new Map();
+    const getCluster = (id) => {
+        const root = find(id);
+        if (!clustersByRoot.has(root)) {
+            clustersByRoot.set(root, { items: new Map(), pairs: [], similarity: 0 });
+        }
+        return clustersByRoot.get(root);
+    };
+
+    for (const pair of duplicates) {
+        const cluster = getCluster(pair.item1.id);
+        cluster.items.set(pair.item1.id, pair.item1);
+        cluster.items.set(pair.item2.id, pair.item2);
+        cluster.pairs.push(pair);
+        cluster.similarity = Math.max(cluster.similarity, pair.similarity);
+    }
+
+    const clusters = [...clustersByRoot.values()].map(cluster => ({
+        items: [...cluster.items.values()],
+        pairs: cluster.pairs,
+        similarity: cluster.similarity
+    }));
+
+    // Highest similarity first, larger clusters first on ties
+    clusters.sort((a, b) => (b.similarity - a.similarity) || (b.items.length - a.items.length));
+
+    return clusters;
+}
+
+/**
+ * Suggest the record to keep: the item with the most filled-in fields,
+ * then the one added to the library first.
+ */
+function suggestMasterIndex(clusterItems) {
+    let bestIndex = 0;
+    let bestScore = -1;
+    let bestDate = '';
+
+    clusterItems.forEach((normalizedItem, index) => {
+        const original = normalizedItem.originalItem;
+        const score = original.getUsedFields().length + original.getCreators().length;
+        const dateAdded = original.dateAdded || '';
+        if (score > bestScore || (score === bestScore && dateAdded < bestDate)) {
+            bestIndex = index;
+            bestScore = score;
+            bestDate = dateAdded;
+        }
+    });
+
+    return bestIndex;
+}
+// END GENERATED ENGINE
+
+
+// ============================================================================
+// INCREMENTAL CHECKING OF NEW ITEMS
+// ============================================================================
+
+const NEW_ITEM_DUPLICATE_TAG = 'possible-duplicate';
+
+/**
+ * Tag every new item that is part of a detected pair. Returns the number of items tagged.
+ */
+async function flagNewItemDuplicates(duplicates, newItemIDs) {
+    const flagged = new Set();
+
+    for (const pair of duplicates) {
+        for (const normalizedItem of [pair.item1, pair.item2]) {
+            const original = normalizedItem.originalItem;
+            if (!newItemIDs.has(original.id) || flagged.has(original.id)) continue;
+
+            original.addTag(NEW_ITEM_DUPLICATE_TAG);
+            await original.saveTx();
+            flagged.add(original.id);
+        }
+    }
+
+    return flagged.size;
+}
+
+const NEW_ITEM_CHECK = {
+    settleDelay: 5000   // ms to wait so an import batch is checked in one pass
+};
+
+/**
+ * Item-add trigger: queue the new item and, unless a check is already running,
+ * compare the queued items against their library with the last-used profile.
+ */
+async function checkNewItemOnAdd(newItem) {
+    window.duplicateNewItemQueue = window.duplicateNewItemQueue || [];
+    window.duplicateNewItemQueue.push(newItem.id);
+
+    // The running check picks up items queued while it waits or compares
+    if (window.duplicateNewItemCheckRunning) return;
+    window.duplicateNewItemCheckRunning = true;
+
+    try {
+        const store = await loadProfiles();
+        const profile = store.profiles.find(p => p.name === store.lastUsed) || store.profiles[0];
+        const weights = getProfileWeights(profile);
+        normalizeWeights(weights);
+
+        const exclusions = await loadExclusions();
+
+        while (window.duplicateNewItemQueue.length > 0) {
+            // Let the rest of an import batch (and its metadata) arrive first
+            await Zotero.Promise.delay(NEW_ITEM_CHECK.settleDelay);
+
+            const queuedItems = await Zotero.Items.getAsync(window.duplicateNewItemQueue.splice(0));
+            const newItemsByLibrary = new Map();
+            for (const queuedItem of queuedItems) {
+                if (!queuedItem || queuedItem.deleted || !queuedItem.isRegularItem()) continue;
+                if (!newItemsByLibrary.has(queuedItem.libraryID)) {
+                    newItemsByLibrary.set(queuedItem.libraryID, []);
+                }
+                newItemsByLibrary.get(queuedItem.libraryID).push(queuedItem);
+            }
+
+            for (const [libraryID, newItems] of newItemsByLibrary) {
+                const newItemIDs = new Set(newItems.map(newItem => newItem.id));
+                // Only library items that share a blocking key with a new item are compared
+                const { items: comparisonItems, candidates } = await findIncrementalCandidates(newItems, libraryID);
+
+                const potentialDuplicates = await detectDuplicates(
+                    comparisonItems,
+                    profile.threshold,
+                    weights,
+                    profile.useExactMatch,
+                    profile.useFuzzyTitle,
+                    profile.requireSameType,
+                    false,
+                    exclusions,
+                    (item1, item2) => isIncrementalCandidatePair(candidates, item1, item2),
+                    !!profile.removeStopWords
+                );
+
+                for (const pair of potentialDuplicates) {
+                    Zotero.logError(`Possible duplicate: "${pair.item1.originalItem.getField('title')}" (${pair.item1.originalItem.key}) and "${pair.item2.originalItem.getField('title')}" (${pair.item2.originalItem.key}) - ${pair.reason}`);
+                }
+
+                const flaggedCount = await flagNewItemDuplicates(potentialDuplicates, newItemIDs);
+                Zotero.logError(`Checked ${newItems.length} new items in library ${libraryID} (profile: ${profile.name}): ${flaggedCount} tagged "${NEW_ITEM_DUPLICATE_TAG}"`);
+            }
+        }
+    } catch (error) {
+        Zotero.logError("Error checking new items for duplicates: " + error.message);
+    } finally {
+        window.duplicateNewItemCheckRunning = false;
+    }
+}
+
+
+// ============================================================================
+// DUPLICATE HANDLING
+// ============================================================================
+
+async function handleDetectedDuplicates(clusters) {
+    if (clusters.length === 0) {
         Zotero.logError("No duplicates found.");
+        window.alert("No duplicates found.");
         return;
     }
 
     const timestamp = Date.now();
-    let stopProcessing = false;
+    let processed = 0;
+
+    for (const { items, pairs } of clusters) {
+        processed++;
 
-    for (const { item1, item2, similarity } of duplicates) {
-        if (stopProcessing) {
+        const suggestedMaster = suggestMasterIndex(items);
+        const itemList = items
+            .map((normalizedItem, index) => `${index + 1}: ${normalizedItem.originalItem.getField('title')}`)
+            .join('\n');
+        const reasons = pairs
+            .map(({ item1, item2, reason, breakdown }) =>
+                `${items.indexOf(item1) + 1} <-> ${items.indexOf(item2) + 1}: ${reason}\n   ${formatSimilarityBreakdownShort(breakdown)}`)
+            .join('\n');
+
+        const response = window.prompt(
+            `Duplicate cluster ${processed}/${clusters.length}:\n${itemList}\n\n${reasons}\n\n` +
+            `Choose action:\n` +
+            `1. Add a tag to all items (e.g., duplicate-cluster-${timestamp}-${processed})\n` +
+            `2. Move all items except Item ${suggestedMaster + 1} to Trash\n` +
+            `3. Ignore\n` +
+            `4. Stop Processing`
+        );
+        const sanitizedResponse = response ? response.trim() : null;
+
+        if (sanitizedResponse === '4') {
             Zotero.logError("Processing stopped by the user.");
             break;
         }
 
-        const response = window.prompt(`Found duplicates with similarity ${similarity.toFixed(2)}:\n1: ${item1.getField('title')}\n2: ${item2.getField('title')}\nChoose action:\n1. Add a tag to both Items (e.g., duplicate-pair-${timestamp})\n2. Move Item 2 to Trash\n3. Ignore\n4. Stop Processing`);
-        const sanitizedResponse = response ? response.trim() : null;
-
-        switch (sanitizedResponse) {
-            case '1':
-                await addTagToItems(item1, item2, `duplicate-pair-${timestamp}`);
-                break;
-            case '2':
-                await moveItemToTrash(item2);
-                break;
-            case '3':
-                Zotero.logError(`Ignored items: ${item1.getField('title')} and ${item2.getField('title')}`);
-                break;
-            case '4':
-                stopProcessing = true;
-                break;
-            default:
-                Zotero.logError(`No valid action chosen for items: ${item1.getField('title')} and ${item2.getField('title')}`);
-                break;
+        try {
+            switch (sanitizedResponse) {
+                case '1':
+                    await addTagToItems(items.map(i => i.originalItem), `duplicate-cluster-${timestamp}-${processed}`);
+                    break;
+                case '2':
+                    for (const normalizedItem of items.filter((_, index) => index !== suggestedMaster)) {
+                        await moveItemToTrash(normalizedItem.originalItem);
+                    }
+                    break;
+                case '3':
+                    Zotero.logError(`Ignored cluster: ${itemList}`);
+                    break;
+                default:
+                    Zotero.logError(`No valid action chosen for cluster: ${itemList}`);
+                    break;
+            }
+        } catch (error) {
+            Zotero.logError(`Error processing duplicate cluster: ${error.message}`);
         }
     }
 }
 
-async function addTagToItems(item1, item2, tag) {
-    item1.addTag(tag);
-    item2.addTag(tag);
-    await item1.save();
-    await item2.save();
-    Zotero.logError(`Tagged items: ${item1.getField('title')} and ${item2.getField('title')} with ${tag}`);
+async function addTagToItems(items, tag) {
+    for (const item of items) {
+        item.addTag(tag);
+        await item.saveTx();
+    }
+    Zotero.logError(`Tagged ${items.length} items with ${tag}`);
 }
 
 async function moveItemToTrash(item) {
@@ -230,22 +1740,5 @@ async function moveItemToTrash(item) {
     Zotero.logError(`Moved item to trash: ${item.getField('title')}`);
 }
 
-function logTime(label, milliseconds) {
-    Zotero.logError(`${label}: ${(milliseconds / 1000).toFixed(2)} seconds`);
-}
-
-async function getItemsToEdit() {
-    const zoteroPane = Zotero.getActiveZoteroPane();
-    let selectedItems = zoteroPane.getSelectedItems();
-    if (!selectedItems.length) {
-        let selectedCollection = zoteroPane.getSelectedCollection();
-        if (selectedCollection) {
-            Zotero.logError(`Items from collection: ${selectedCollection.name}`);
-            selectedItems = await selectedCollection.getChildItems();
-        } else {
-            window.alert("No items or collection selected.");
-            return null;
-        }
-    }
-    return selectedItems;
-}
+// Started last, so that the constants declared throughout this file are initialized
+main();
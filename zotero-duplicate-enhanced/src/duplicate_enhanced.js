@@ -23,9 +23,54 @@
  *       4. Author (15%) - creator matching
  *       5. Year (10%) - date matching
  *       6. Publisher/Publication (8%) - publisher and journal
+ * 
+ * v2.3: Added blocking index for large libraries - only plausible pairs are scored
+ *       (exact DOI/ISBN/URL buckets, title token blocks, sorted-neighborhood windows)
+ * 
+ * v2.4: Added "Merge into Item 1/Item 2" review actions using Zotero's merge
+ *       (moves notes/attachments, combines tags/collections/relations, adds dc:replaces)
+ *       with a chooser for conflicting fields
+ * 
+ * v2.5: Duplicate pairs are grouped into clusters (union-find) - each cluster is
+ *       reviewed once with a chosen master record, and tagged per cluster
+ * 
+ * v2.6: Added persistent "not a duplicate" exclusion list (JSON file in the Zotero
+ *       data directory) - excluded pairs are skipped on later runs
+ * 
+ * v2.7: Per-field similarity breakdown (score, weight and contribution) is kept
+ *       with each pair and shown in the review prompt and console summary
+ * 
+ * v2.8: Named weight/threshold profiles (e.g., ISBN-heavy for books, URL-heavy for
+ *       web clippings) saved as JSON in the Zotero data directory, chosen at start-up
+ * 
+ * v2.9: Optional attachment content-hash pass - items whose stored files are
+ *       byte-identical (SHA-256, cached by path and mtime) are exact duplicates
+ * 
+ * v2.10: arXiv ID (version stripped), PMID and PMCID are parsed from extra, URL,
+ *        archiveID and DOI; ISBN-10 and ISBN-13 are treated as the same book.
+ *        All are used as exact fast-path identifiers
+ * 
+ * v2.11: Export the full duplicate report (every cluster and pair, with keys, titles,
+ *        similarity, per-field scores and zotero://select links) to CSV, JSON or HTML
+ * 
+ * v2.12: Preprint <-> published version linker - proposes preprint/journal article
+ *        pairs, adds "related" relations and a "Published as" note; nothing is trashed
+ * 
+ * v2.13: Cross-library detection - compares items between My Library and group
+ *        libraries, with actions that are safe across libraries (tag, link, copy notes)
+ * 
+ * v2.14: Incremental check - only items added since the last run (or the selected,
+ *        just-imported items) are compared against the library; new items with a
+ *        likely match are tagged "possible-duplicate" straight away
+ * 
+ * v2.15: Language- and script-aware normalization - NFKD, diacritic folding, German
+ *        umlaut transliteration in creator names, ligatures, full-width CJK forms,
+ *        Greek/Cyrillic lookalikes and optional (per profile) stop-word removal
  */
 
-(async function() {
+const VERSION = "2.15";
+
+async function main() {
     // Prevent concurrent runs
     if (typeof window !== 'undefined' && window._duplicateDetectionRunning) {
         alert("Duplicate detection is already running. Please wait for it to complete.");
@@ -36,12 +81,37 @@
     }
 
     const startTime = performance.now();
-    const VERSION = "2.2";
 
     try {
         console.log(`=== Zotero Duplicate Detection v${VERSION} ===`);
+
+        const mode = getRunMode();
+        if (mode === null) return;
+
+        if (mode === 'exclusions') {
+            await manageExclusions();
+            return;
+        }
+
+        if (mode === 'profiles') {
+            await manageProfiles();
+            return;
+        }
         
-        const items = await getItemsToEdit();
+        // Recorded before items are read, so items added during this run are checked next time
+        const runStarted = new Date();
+
+        let items;
+        let incremental = null;
+        if (mode === 'crossLibrary') {
+            items = await getCrossLibraryItems();
+        } else if (mode === 'incremental') {
+            incremental = await getIncrementalItems();
+            if (incremental === null) return;
+            items = incremental.items;
+        } else {
+            items = await getItemsToEdit();
+        }
         if (!items || items.length === 0) {
             console.log("No items to process.");
             return;
@@ -56,54 +126,90 @@
 
         console.log(`Processing ${regularItems.length} regular items (filtered from ${items.length} total)`);
 
-        // Weights in priority order: URL, DOI, Title, Author, Year, Publisher/Publication
-        const weights = {
-            URL: 0.25,          // Highest - unique identifier
-            DOI: 0.22,          // Second - reliable identifier
-            title: 0.20,        // Third - main content identifier
-            creators: 0.15,     // Fourth - author matching
-            date: 0.10,         // Fifth - year matching
-            publisher: 0.04,    // Sixth - publisher/publication
-            journal: 0.04,      // Sixth - publication title
-            shortTitle: 0.00,   // Not prioritized
-            place: 0.00,        // Not prioritized
-            ISBN: 0.00,         // Not prioritized
-            itemType: 0.00      // Not prioritized
-        };
+        if (mode === 'preprints') {
+            await linkPreprintVersions(regularItems);
+            return;
+        }
+
+        // Weights and default options come from the chosen profile
+        const profile = await selectProfile();
+        if (profile === null) return;
 
+        const weights = getProfileWeights(profile);
         normalizeWeights(weights);
 
+        console.log(`Using profile: ${profile.name}`);
+
         // Get user preferences
-        const userPrefs = getUserPreferences(weights);
+        const userPrefs = getUserPreferences(weights, profile);
         if (userPrefs === null) return;
 
-        const { threshold, useExactMatch, useFuzzyTitle, requireSameType } = userPrefs;
+        const { threshold, useExactMatch, useFuzzyTitle, requireSameType, useAttachmentHash, removeStopWords } = userPrefs;
 
         const weightsConfirmedTime = performance.now();
         logTime("Configuration time", weightsConfirmedTime - startTime);
 
-        console.log(`Settings: threshold=${threshold}, exactMatch=${useExactMatch}, fuzzyTitle=${useFuzzyTitle}, requireSameType=${requireSameType}`);
+        console.log(`Settings: threshold=${threshold}, exactMatch=${useExactMatch}, fuzzyTitle=${useFuzzyTitle}, requireSameType=${requireSameType}, attachmentHash=${useAttachmentHash}, removeStopWords=${removeStopWords}`);
         console.log(`Items to compare: ${regularItems.length}`);
 
+        // Pairs previously marked as "not a duplicate"
+        const exclusions = await loadExclusions();
+
+        // Cross-library mode only wants pairs that span libraries; incremental mode only
+        // wants pairs of a new item and a library item that shares one of its blocking keys
+        let pairFilter = null;
+        if (mode === 'crossLibrary') {
+            pairFilter = (item1, item2) => item1.libraryID !== item2.libraryID;
+        } else if (mode === 'incremental') {
+            pairFilter = (item1, item2) => isIncrementalCandidatePair(incremental.candidates, item1, item2);
+        }
+
         // Detect duplicates
+        const detectionStats = {};
         const potentialDuplicates = await detectDuplicates(
             regularItems, 
             threshold, 
             weights, 
             useExactMatch, 
             useFuzzyTitle,
-            requireSameType
+            requireSameType,
+            useAttachmentHash,
+            exclusions,
+            pairFilter,
+            removeStopWords,
+            detectionStats
         );
+        const ignoredFilesNote = detectionStats.ignoredSharedFiles
+            ? `\n\n${detectionStats.ignoredSharedFiles} attachment file(s) shared by more than ${ATTACHMENT_HASHING.maxItemsPerHash} items with different titles or DOIs were not compared.`
+            : '';
         
         const duplicatesDetectedTime = performance.now();
         logTime("Duplicate detection time", duplicatesDetectedTime - weightsConfirmedTime);
 
-        console.log(`Found ${potentialDuplicates.length} potential duplicate pairs`);
+        if (mode === 'crossLibrary') {
+            console.log(`Found ${potentialDuplicates.length} cross-library duplicate pairs`);
+            await handleCrossLibraryDuplicates(potentialDuplicates);
+            alert(`Cross-library duplicate detection completed.\nFound ${potentialDuplicates.length} cross-library pairs.${ignoredFilesNote}`);
+            return;
+        }
+
+        if (mode === 'incremental') {
+            const flaggedCount = await flagNewItemDuplicates(potentialDuplicates, incremental.newItemIDs);
+            console.log(`Tagged ${flaggedCount} of ${incremental.newItemIDs.size} new items "${NEW_ITEM_DUPLICATE_TAG}"`);
+            if (incremental.updateLastRun) {
+                await saveLastRun(incremental.libraryID, runStarted);
+            }
+        }
+
+        // Group pairs into clusters of the same record
+        const clusters = buildDuplicateClusters(potentialDuplicates);
+
+        console.log(`Found ${potentialDuplicates.length} potential duplicate pairs in ${clusters.length} clusters`);
 
         // Handle duplicates
-        await handleDetectedDuplicates(potentialDuplicates);
+        await handleDetectedDuplicates(clusters, exclusions);
 
-        alert(`Duplicate detection completed.\nFound ${potentialDuplicates.length} potential duplicate pairs.`);
+        alert(`Duplicate detection completed.\nFound ${potentialDuplicates.length} potential duplicate pairs in ${clusters.length} clusters.${ignoredFilesNote}`);
 
     } catch (error) {
         console.error(`Error in duplicate detection: ${error.message}`);
@@ -117,7 +223,7 @@
         logTime("Total execution time", endTime - startTime);
         console.log("=== Duplicate detection complete ===");
     }
-})();
+}
 
 
 // ============================================================================
@@ -141,49 +247,410 @@ function normalizeWeights(weights) {
 // USER INPUT FUNCTIONS
 // ============================================================================
 
-function getUserPreferences(weights) {
+function getRunMode() {
+    const input = prompt(
+        `Zotero Duplicate Detection v${VERSION}\n\n` +
+        `What would you like to do?\n\n` +
+        `1. Detect duplicates\n` +
+        `2. List or clear "not a duplicate" exclusions\n` +
+        `3. Manage weight and threshold profiles\n` +
+        `4. Link preprints to their published versions\n` +
+        `5. Detect duplicates across libraries (My Library and groups)\n` +
+        `6. Check newly added items against the library\n\n` +
+        `Enter choice (1-6):`,
+        "1"
+    );
+
+    if (input === null) return null;
+
+    switch (input.trim()) {
+        case '2':
+            return 'exclusions';
+        case '3':
+            return 'profiles';
+        case '4':
+            return 'preprints';
+        case '5':
+            return 'crossLibrary';
+        case '6':
+            return 'incremental';
+        default:
+            return 'detect';
+    }
+}
+
+function getUserPreferences(weights, profile) {
     const weightsInfo = Object.entries(weights)
         .map(([key, value]) => `  ${key}: ${(value * 100).toFixed(1)}%`)
         .join('\n');
 
-    const message = `Zotero Duplicate Detection v2.2\n\n` +
+    const defaults = formatProfileOptions(profile);
+    const yesNo = (value) => value ? 'yes' : 'no';
+
+    const message = `Zotero Duplicate Detection v${VERSION}\n\n` +
+        `Profile: ${profile.name}\n` +
         `Current weights:\n${weightsInfo}\n\n` +
-        `Options (enter comma-separated, e.g., "0.6,yes,yes,no"):\n` +
-        `1. Similarity threshold (0-1, default: 0.6)\n` +
-        `2. Use exact URL/DOI match? (yes/no, default: yes)\n` +
-        `3. Use fuzzy title matching? (yes/no, default: yes)\n` +
-        `4. Require same item type? (yes/no, default: no)\n\n` +
+        `Options (enter comma-separated, e.g., "${defaults}"):\n` +
+        `1. Similarity threshold (0-1, default: ${profile.threshold})\n` +
+        `2. Use exact identifier match (URL/DOI/arXiv/PMID/PMCID/ISBN)? (yes/no, default: ${yesNo(profile.useExactMatch)})\n` +
+        `3. Use fuzzy title matching? (yes/no, default: ${yesNo(profile.useFuzzyTitle)})\n` +
+        `4. Require same item type? (yes/no, default: ${yesNo(profile.requireSameType)})\n` +
+        `5. Compare attachment files (slow on first run)? (yes/no, default: ${yesNo(profile.useAttachmentHash)})\n` +
+        `6. Remove stop words ("the", "of", "und", ...) from titles and publishers? (yes/no, default: ${yesNo(profile.removeStopWords)})\n\n` +
         `Or just enter a number for threshold with defaults:`;
 
-    const input = prompt(message, "0.6,yes,yes,no");
+    const input = prompt(message, defaults);
     
     if (input === null) return null;
     
     const parts = input.trim().split(',').map(s => s.trim().toLowerCase());
     
     // Parse threshold
-    const threshold = parseFloat(parts[0]) || 0.6;
+    const threshold = parseFloat(parts[0]) || profile.threshold;
     if (threshold < 0 || threshold > 1) {
-        alert("Invalid threshold. Using default 0.6");
+        alert(`Invalid threshold. Using default ${profile.threshold}`);
     }
     
     // Parse exact match preference
-    const useExactMatch = parts[1] !== 'no';
+    const useExactMatch = parts[1] ? parts[1] !== 'no' : profile.useExactMatch;
     
     // Parse fuzzy title preference  
-    const useFuzzyTitle = parts[2] !== 'no';
+    const useFuzzyTitle = parts[2] ? parts[2] !== 'no' : profile.useFuzzyTitle;
     
-    // Parse item type requirement (default: NO - allow cross-type duplicates)
-    const requireSameType = parts[3] === 'yes';
+    // Parse item type requirement (profile default, normally NO - allow cross-type duplicates)
+    const requireSameType = parts[3] ? parts[3] === 'yes' : profile.requireSameType;
+
+    // Parse attachment hash pass (default: NO - hashing files is slow on first run)
+    const useAttachmentHash = parts[4] ? parts[4] === 'yes' : profile.useAttachmentHash;
+
+    // Parse stop-word removal (default: NO)
+    const removeStopWords = parts[5] ? parts[5] === 'yes' : !!profile.removeStopWords;
     
     return {
         threshold: Math.max(0, Math.min(1, threshold)),
         useExactMatch,
         useFuzzyTitle,
-        requireSameType
+        requireSameType,
+        useAttachmentHash,
+        removeStopWords
+    };
+}
+
+
+// ============================================================================
+// WEIGHT AND THRESHOLD PROFILES
+// ============================================================================
+
+const PROFILES_FILE = 'duplicate-profiles.json';
+
+const WEIGHT_FIELDS = ['URL', 'DOI', 'title', 'creators', 'date', 'publisher', 'journal', 'shortTitle', 'place', 'ISBN', 'itemType'];
+
+// Built-in profiles; saved profiles in the data directory take precedence
+const DEFAULT_PROFILES = [
+    {
+        name: "Default",
+        // Weights in priority order: URL, DOI, Title, Author, Year, Publisher/Publication
+        weights: {
+            URL: 0.25,          // Highest - unique identifier
+            DOI: 0.22,          // Second - reliable identifier
+            title: 0.20,        // Third - main content identifier
+            creators: 0.15,     // Fourth - author matching
+            date: 0.10,         // Fifth - year matching
+            publisher: 0.04,    // Sixth - publisher/publication
+            journal: 0.04       // Sixth - publication title
+        },
+        threshold: 0.6,
+        useExactMatch: true,
+        useFuzzyTitle: true,
+        requireSameType: false,
+        useAttachmentHash: false,
+        removeStopWords: false
+    },
+    {
+        name: "Books: ISBN-heavy",
+        weights: { ISBN: 0.30, title: 0.25, creators: 0.20, date: 0.05, publisher: 0.15, place: 0.05 },
+        threshold: 0.65,
+        useExactMatch: true,
+        useFuzzyTitle: true,
+        requireSameType: false,
+        useAttachmentHash: false,
+        removeStopWords: false
+    },
+    {
+        name: "Web clippings: URL-heavy",
+        weights: { URL: 0.50, title: 0.30, date: 0.10, journal: 0.10 },
+        threshold: 0.6,
+        useExactMatch: true,
+        useFuzzyTitle: true,
+        requireSameType: false,
+        useAttachmentHash: false,
+        removeStopWords: false
+    },
+    {
+        name: "Journal articles",
+        weights: { DOI: 0.30, title: 0.25, creators: 0.20, date: 0.10, journal: 0.15 },
+        threshold: 0.65,
+        useExactMatch: true,
+        useFuzzyTitle: true,
+        requireSameType: false,
+        useAttachmentHash: false,
+        removeStopWords: false
+    }
+];
+
+function getProfilesFilePath() {
+    return PathUtils.join(Zotero.DataDirectory.dir, PROFILES_FILE);
+}
+
+/**
+ * Load saved profiles from the Zotero data directory, falling back to the built-in ones.
+ * readFailed is set when the file exists but cannot be read, so that saving does not
+ * replace the custom profiles in it without a backup.
+ */
+async function loadProfiles() {
+    const path = getProfilesFilePath();
+    const store = { lastUsed: DEFAULT_PROFILES[0].name, profiles: JSON.parse(JSON.stringify(DEFAULT_PROFILES)), readFailed: false };
+
+    try {
+        if (await IOUtils.exists(path)) {
+            const data = JSON.parse(await Zotero.File.getContentsAsync(path));
+            if (Array.isArray(data.profiles) && data.profiles.length > 0) {
+                store.profiles = data.profiles;
+            }
+            if (data.lastUsed) {
+                store.lastUsed = data.lastUsed;
+            }
+        }
+    } catch (error) {
+        store.readFailed = true;
+        console.error(`Could not read profiles from ${path}: ${error.message}`);
+        alert(`Could not read the saved profiles (${error.message}).\nUsing the built-in profiles.\n\nIf profiles are saved in this run, the unreadable file is kept as ${PROFILES_FILE}.bak.`);
+    }
+
+    return store;
+}
+
+async function saveProfiles(store) {
+    const path = getProfilesFilePath();
+    if (store.readFailed) {
+        await backUpUnreadableFile(path);
+        store.readFailed = false;
+    }
+    const data = { version: 1, lastUsed: store.lastUsed, profiles: store.profiles };
+    await Zotero.File.putContentsAsync(path, JSON.stringify(data, null, 2));
+}
+
+/**
+ * Full weights object for a profile - fields missing from the profile weigh 0.
+ */
+function getProfileWeights(profile) {
+    const weights = {};
+    for (const field of WEIGHT_FIELDS) {
+        weights[field] = Number(profile.weights[field]) || 0;
+    }
+    return weights;
+}
+
+function formatProfileWeights(profile) {
+    return WEIGHT_FIELDS
+        .filter(field => profile.weights[field] > 0)
+        .map(field => `${field}=${profile.weights[field]}`)
+        .join(', ');
+}
+
+function formatProfileOptions(profile) {
+    const yesNo = (value) => value ? 'yes' : 'no';
+    return `${profile.threshold},${yesNo(profile.useExactMatch)},${yesNo(profile.useFuzzyTitle)},${yesNo(profile.requireSameType)},${yesNo(profile.useAttachmentHash)},${yesNo(profile.removeStopWords)}`;
+}
+
+async function selectProfile() {
+    const store = await loadProfiles();
+
+    let defaultIndex = store.profiles.findIndex(p => p.name === store.lastUsed);
+    if (defaultIndex < 0) defaultIndex = 0;
+
+    const profileList = store.profiles
+        .map((p, index) => `${index + 1}. ${p.name}\n    ${formatProfileWeights(p)}; threshold ${p.threshold}`)
+        .join('\n');
+
+    const input = prompt(
+        `Choose a weight and threshold profile:\n\n${profileList}\n\n` +
+        `Enter choice (1-${store.profiles.length}):`,
+        String(defaultIndex + 1)
+    );
+    if (input === null) return null;
+
+    let index = parseInt(input.trim(), 10) - 1;
+    if (isNaN(index) || index < 0 || index >= store.profiles.length) {
+        alert(`Invalid profile number: "${input}". Using "${store.profiles[defaultIndex].name}".`);
+        index = defaultIndex;
+    }
+
+    const profile = store.profiles[index];
+
+    // Remember the choice for the next run, unless the profiles file could not be read
+    if (store.lastUsed !== profile.name && !store.readFailed) {
+        store.lastUsed = profile.name;
+        try {
+            await saveProfiles(store);
+        } catch (error) {
+            console.error(`Could not save last used profile: ${error.message}`);
+        }
+    }
+
+    return profile;
+}
+
+/**
+ * Parse "URL=0.25, DOI=0.2, title=0.3" into a weights object.
+ * Returns null (after alerting) if a field name or value is invalid.
+ */
+function parseProfileWeights(input) {
+    const weights = {};
+    for (const part of input.split(',').map(s => s.trim()).filter(s => s.length > 0)) {
+        const [rawField, rawValue] = part.split('=').map(s => s.trim());
+        const field = WEIGHT_FIELDS.find(f => f.toLowerCase() === (rawField || '').toLowerCase());
+        const value = parseFloat(rawValue);
+        if (!field) {
+            alert(`Unknown field "${rawField}".\n\nValid fields: ${WEIGHT_FIELDS.join(', ')}`);
+            return null;
+        }
+        if (isNaN(value) || value < 0) {
+            alert(`Invalid weight for ${field}: "${rawValue}". Weights must be numbers of 0 or more.`);
+            return null;
+        }
+        weights[field] = value;
+    }
+    if (Object.values(weights).reduce((a, b) => a + b, 0) === 0) {
+        alert("At least one field needs a weight greater than 0.");
+        return null;
+    }
+    return weights;
+}
+
+/**
+ * Prompt for a profile's weights and options, starting from `base`.
+ * Returns the edited profile, or null on cancel.
+ */
+function editProfile(base, name) {
+    let weights = null;
+    while (weights === null) {
+        const input = prompt(
+            `Weights for "${name}" (comma-separated field=weight; they are normalized to sum to 1).\n\n` +
+            `Fields: ${WEIGHT_FIELDS.join(', ')}`,
+            formatProfileWeights(base)
+        );
+        if (input === null) return null;
+        weights = parseProfileWeights(input);
+    }
+
+    const options = prompt(
+        `Default options for "${name}" (comma-separated):\n` +
+        `1. Similarity threshold (0-1)\n` +
+        `2. Use exact identifier match? (yes/no)\n` +
+        `3. Use fuzzy title matching? (yes/no)\n` +
+        `4. Require same item type? (yes/no)\n` +
+        `5. Compare attachment files? (yes/no)\n` +
+        `6. Remove stop words from titles and publishers? (yes/no)`,
+        formatProfileOptions(base)
+    );
+    if (options === null) return null;
+
+    const parts = options.trim().split(',').map(s => s.trim().toLowerCase());
+    const threshold = parseFloat(parts[0]);
+
+    return {
+        name,
+        weights,
+        threshold: isNaN(threshold) ? base.threshold : Math.max(0, Math.min(1, threshold)),
+        useExactMatch: parts[1] ? parts[1] !== 'no' : base.useExactMatch,
+        useFuzzyTitle: parts[2] ? parts[2] !== 'no' : base.useFuzzyTitle,
+        requireSameType: parts[3] ? parts[3] === 'yes' : base.requireSameType,
+        useAttachmentHash: parts[4] ? parts[4] === 'yes' : !!base.useAttachmentHash,
+        removeStopWords: parts[5] ? parts[5] === 'yes' : !!base.removeStopWords
     };
 }
 
+function chooseProfileIndex(store, action) {
+    const profileList = store.profiles.map((p, index) => `${index + 1}. ${p.name}`).join('\n');
+    const input = prompt(`Which profile do you want to ${action}?\n\n${profileList}`, "1");
+    if (input === null) return null;
+
+    const index = parseInt(input.trim(), 10) - 1;
+    if (isNaN(index) || index < 0 || index >= store.profiles.length) {
+        alert(`Invalid profile number: "${input}"`);
+        return null;
+    }
+    return index;
+}
+
+async function manageProfiles() {
+    const store = await loadProfiles();
+
+    while (true) {
+        const profileList = store.profiles
+            .map((p, index) => `${index + 1}. ${p.name}\n    ${formatProfileWeights(p)}\n    options: ${formatProfileOptions(p)}`)
+            .join('\n');
+
+        const input = prompt(
+            `Weight and threshold profiles (${getProfilesFilePath()}):\n\n${profileList}\n\n` +
+            `1. Create a profile (copy of an existing one)\n` +
+            `2. Edit a profile\n` +
+            `3. Delete a profile\n` +
+            `4. Reset to built-in profiles\n` +
+            `5. Done\n\n` +
+            `Enter choice (1-5):`,
+            "5"
+        );
+
+        const choice = input === null ? '5' : input.trim();
+
+        if (choice === '1') {
+            const baseIndex = chooseProfileIndex(store, 'copy');
+            if (baseIndex === null) continue;
+            const name = prompt("Name of the new profile:", `${store.profiles[baseIndex].name} (copy)`);
+            if (!name || !name.trim()) continue;
+            if (store.profiles.some(p => p.name === name.trim())) {
+                alert(`A profile named "${name.trim()}" already exists.`);
+                continue;
+            }
+            const profile = editProfile(store.profiles[baseIndex], name.trim());
+            if (profile === null) continue;
+            store.profiles.push(profile);
+            await saveProfiles(store);
+            console.log(`Created profile "${profile.name}"`);
+        } else if (choice === '2') {
+            const index = chooseProfileIndex(store, 'edit');
+            if (index === null) continue;
+            const profile = editProfile(store.profiles[index], store.profiles[index].name);
+            if (profile === null) continue;
+            store.profiles[index] = profile;
+            await saveProfiles(store);
+            console.log(`Updated profile "${profile.name}"`);
+        } else if (choice === '3') {
+            if (store.profiles.length === 1) {
+                alert("The last profile cannot be deleted.");
+                continue;
+            }
+            const index = chooseProfileIndex(store, 'delete');
+            if (index === null) continue;
+            if (!confirm(`Delete profile "${store.profiles[index].name}"?`)) continue;
+            const [removed] = store.profiles.splice(index, 1);
+            if (store.lastUsed === removed.name) store.lastUsed = store.profiles[0].name;
+            await saveProfiles(store);
+            console.log(`Deleted profile "${removed.name}"`);
+        } else if (choice === '4') {
+            if (!confirm("Replace all saved profiles with the built-in profiles?")) continue;
+            store.profiles = JSON.parse(JSON.stringify(DEFAULT_PROFILES));
+            store.lastUsed = DEFAULT_PROFILES[0].name;
+            await saveProfiles(store);
+            console.log("Reset profiles to built-in defaults");
+        } else {
+            return;
+        }
+    }
+}
+
 
 // ============================================================================
 // ITEM RETRIEVAL
@@ -306,19 +773,62 @@ async function getCollectionItemsRecursive(collection) {
 // FIELD NORMALIZATION
 // ============================================================================
 
-function normalizeItemFields(item) {
+const NORMALIZATION = {
+    transliterateGerman: true,  // In creator names: Müller = Mueller = Muller
+    foldLookalikes: true        // Greek/Cyrillic letters mixed into Latin words
+};
+
+// Letters that NFKD does not decompose
+const SPECIAL_LETTERS = {
+    'ß': 'ss', 'ẞ': 'ss', 'æ': 'ae', 'Æ': 'AE', 'œ': 'oe', 'Œ': 'OE', 'ø': 'o', 'Ø': 'O',
+    'ł': 'l', 'Ł': 'L', 'đ': 'd', 'Đ': 'D', 'ð': 'd', 'Ð': 'D', 'þ': 'th', 'Þ': 'TH', 'ı': 'i'
+};
+
+const SPECIAL_LETTERS_PATTERN = new RegExp(`[${Object.keys(SPECIAL_LETTERS).join('')}]`, 'g');
+
+// Accents on Latin, Greek and Cyrillic letters. Marks in other scripts are part of the
+// letter (Japanese dakuten: ガ is not カ; Indic vowel signs) and are kept.
+const DIACRITICS_PATTERN = /([\p{Script=Latin}\p{Script=Greek}\p{Script=Cyrillic}])\p{M}+/gu;
+
+// Greek and Cyrillic letters that look like Latin ones (e.g., from OCR or copy-paste)
+const LOOKALIKE_LETTERS = {
+    'А': 'A', 'В': 'B', 'Е': 'E', 'К': 'K', 'М': 'M', 'Н': 'H', 'О': 'O', 'Р': 'P', 'С': 'C',
+    'Т': 'T', 'Х': 'X', 'У': 'Y', 'І': 'I', 'Ј': 'J', 'Ѕ': 'S',
+    'а': 'a', 'е': 'e', 'о': 'o', 'р': 'p', 'с': 'c', 'у': 'y', 'х': 'x', 'і': 'i', 'ј': 'j',
+    'ѕ': 's', 'ԁ': 'd', 'һ': 'h', 'ԛ': 'q', 'ԝ': 'w',
+    'Α': 'A', 'Β': 'B', 'Ε': 'E', 'Ζ': 'Z', 'Η': 'H', 'Ι': 'I', 'Κ': 'K', 'Μ': 'M', 'Ν': 'N',
+    'Ο': 'O', 'Ρ': 'P', 'Τ': 'T', 'Υ': 'Y', 'Χ': 'X',
+    'α': 'a', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'ο': 'o', 'ρ': 'p', 'υ': 'u'
+};
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'as', 'at', 'by', 'for', 'from', 'in', 'is', 'of', 'on', 'or', 'the', 'to', 'with',
+    'das', 'der', 'die', 'ein', 'eine', 'im', 'mit', 'und', 'von', 'zu', 'zur',
+    'de', 'des', 'du', 'en', 'et', 'la', 'le', 'les', 'un', 'une',
+    'del', 'el', 'las', 'los', 'y'
+]);
+
+function normalizeItemFields(item, removeStopWords = false) {
+    // Free-text fields that may carry arXiv/PubMed identifiers
+    const identifierSources = ['extra', 'url', 'archiveID', 'DOI']
+        .map(field => item.getField(field) || '')
+        .join('\n');
+
     const normalized = {
         id: item.id,
         originalItem: item,  // CRITICAL: Keep reference to original item
-        title: normalizeField(item.getField('title')),
+        title: normalizeField(item.getField('title'), removeStopWords),
         shortTitle: normalizeField(item.getField('shortTitle')),
         date: normalizeField(item.getField('date')),
-        publisher: normalizeField(item.getField('publisher')),
+        publisher: normalizeField(item.getField('publisher'), removeStopWords),
         place: normalizeField(item.getField('place')),
         journal: normalizeField(item.getField('publicationTitle') || item.getField('journalAbbreviation')),
         DOI: normalizeDOI(item.getField('DOI')),
         ISBN: normalizeISBN(item.getField('ISBN')),
         URL: normalizeURL(item.getField('url')),
+        arXiv: extractArXivID(identifierSources),
+        PMID: extractPMID(identifierSources),
+        PMCID: extractPMCID(identifierSources),
         itemType: (item.itemType || '').toLowerCase().trim(),
         creators: normalizeCreators(item.getCreators()),
         year: extractYear(item.getField('date'))
@@ -327,14 +837,58 @@ function normalizeItemFields(item) {
     return normalized;
 }
 
-function normalizeField(field) {
+/**
+ * Normalize free text for comparison: Unicode NFKD (full-width CJK forms and ligatures
+ * become plain characters), diacritic folding of Latin, Greek and Cyrillic letters
+ * (Schrödinger = Schrodinger; NFC then recomposes other scripts), lookalike
+ * folding, lowercase, punctuation and optional stop-word removal. Creator names
+ * (`isName`) also get the German transliteration.
+ */
+function normalizeField(field, removeStopWords = false, isName = false) {
     if (!field) return '';
-    return field
-        .toString()
-        .replace(/[.,\/#!$%\^&\*;:{}=\-_`~()\[\]"']/g, ' ')
-        .replace(/\s+/g, ' ')
+
+    let text = field.toString()
+        .normalize('NFKD')
+        .replace(DIACRITICS_PATTERN, '$1')
+        .normalize('NFC')
+        .replace(SPECIAL_LETTERS_PATTERN, letter => SPECIAL_LETTERS[letter]);
+
+    if (NORMALIZATION.foldLookalikes) {
+        text = text.replace(/\S+/g, foldLookalikeLetters);
+    }
+
+    text = text
         .toLowerCase()
+        .replace(/[\p{P}\p{S}]/gu, ' ')
+        .replace(/\s+/g, ' ')
         .trim();
+
+    // Umlauts lose their dots above, so also reduce the ae/oe/ue spellings to a/o/u.
+    // Only in names: in other words ae/oe/ue are ordinary letters ("blue", "poet", "due")
+    if (isName && NORMALIZATION.transliterateGerman) {
+        text = text.replace(/([aou])e/g, '$1');
+    }
+
+    if (removeStopWords) {
+        const words = text.split(' ').filter(word => !STOP_WORDS.has(word));
+        // A title made only of stop words is kept as it is
+        if (words.length > 0) {
+            text = words.join(' ');
+        }
+    }
+
+    return text;
+}
+
+/**
+ * Replace Greek/Cyrillic lookalikes in a word that also contains Latin letters.
+ * Words written entirely in Greek or Cyrillic are left alone.
+ */
+function foldLookalikeLetters(word) {
+    if (!/\p{Script=Latin}/u.test(word) || !/[\p{Script=Greek}\p{Script=Cyrillic}]/u.test(word)) {
+        return word;
+    }
+    return word.replace(/[\p{Script=Greek}\p{Script=Cyrillic}]/gu, letter => LOOKALIKE_LETTERS[letter] || letter);
 }
 
 function normalizeDOI(doi) {
@@ -344,10 +898,68 @@ function normalizeDOI(doi) {
     return match ? match[0].toLowerCase() : '';
 }
 
+/**
+ * Normalize an ISBN field to space-separated ISBN-13s, so that an ISBN-10 and
+ * its ISBN-13 compare equal. Fields holding several ISBNs keep all of them.
+ */
 function normalizeISBN(isbn) {
     if (!isbn) return '';
-    // Remove all non-digit characters except X (for ISBN-10 checksum)
-    return isbn.replace(/[^0-9Xx]/g, '').toUpperCase();
+
+    // Split on separators between ISBNs; hyphens inside an ISBN are removed first
+    const candidates = isbn
+        .replace(/-/g, '')
+        .split(/[\s,;\/|]+/)
+        .map(s => s.replace(/[^0-9Xx]/g, '').toUpperCase())
+        .filter(s => s.length === 10 || s.length === 13);
+
+    // Fall back to all digits for ISBNs written with spaces (e.g., "0 19 852663 6")
+    if (candidates.length === 0) {
+        candidates.push(isbn.replace(/[^0-9Xx]/g, '').toUpperCase());
+    }
+
+    const isbns = candidates.map(c => c.length === 10 ? isbn10To13(c) : c);
+    return [...new Set(isbns)].sort().join(' ');
+}
+
+function isbn10To13(isbn10) {
+    const core = `978${isbn10.substring(0, 9)}`;
+    if (!/^\d{12}$/.test(core)) return isbn10;
+
+    let sum = 0;
+    for (let i = 0; i < 12; i++) {
+        sum += parseInt(core[i], 10) * (i % 2 === 0 ? 1 : 3);
+    }
+    return core + ((10 - (sum % 10)) % 10);
+}
+
+/**
+ * arXiv ID without version, e.g. "2101.00001" or "hep-th/9901001".
+ * Matches "arXiv:2101.00001v2", arxiv.org/abs|pdf URLs and 10.48550/arXiv.* DOIs.
+ */
+function extractArXivID(text) {
+    if (!text) return '';
+    const match = text.match(/arxiv(?:\.org\/(?:abs|pdf)\/|\s*:\s*|\.)\s*(\d{4}\.\d{4,5}|[a-z\-]+(?:\.[a-z]{2})?\/\d{7})(?:v\d+)?/i);
+    return match ? match[1].toLowerCase() : '';
+}
+
+/**
+ * PubMed ID from "PMID: 12345678" or a PubMed URL.
+ */
+function extractPMID(text) {
+    if (!text) return '';
+    const match = text.match(/\bPMID\s*:\s*(\d{1,9})\b/i) ||
+                  text.match(/pubmed(?:\.ncbi\.nlm\.nih\.gov)?\/(\d{1,9})(?!\d)/i);
+    return match ? match[1] : '';
+}
+
+/**
+ * PubMed Central ID, normalized to "PMC1234567".
+ */
+function extractPMCID(text) {
+    if (!text) return '';
+    const match = text.match(/\bPMCID\s*:\s*(?:PMC)?(\d{1,9})\b/i) ||
+                  text.match(/\bPMC(\d{1,9})\b/i);
+    return match ? `PMC${match[1]}` : '';
 }
 
 function normalizeURL(url) {
@@ -359,10 +971,7 @@ function normalizeURL(url) {
 function normalizeCreators(creators) {
     if (!creators || !creators.length) return '';
     return creators
-        .map(c => {
-            const name = `${c.firstName || ''} ${c.lastName || c.name || ''}`;
-            return name.toLowerCase().trim();
-        })
+        .map(c => normalizeField(`${c.firstName || ''} ${c.lastName || c.name || ''}`, false, true))
         .filter(n => n.length > 0)
         .sort()
         .join(' ');
@@ -455,63 +1064,64 @@ function combinedTitleSimilarity(title1, title2, useFuzzy = true) {
 // ============================================================================
 
 function calculateSimilarity(item1, item2, weights, useFuzzyTitle = true, requireSameType = false) {
+    return calculateSimilarityBreakdown(item1, item2, weights, useFuzzyTitle, requireSameType).similarity;
+}
+
+/**
+ * Score two normalized items field by field.
+ * Returns the combined similarity plus, for every field that was weighted,
+ * its raw score, its share of the total weight and its contribution to the result.
+ */
+function calculateSimilarityBreakdown(item1, item2, weights, useFuzzyTitle = true, requireSameType = false) {
     // If requiring same type and types don't match, return 0
     if (requireSameType && item1.itemType !== item2.itemType) {
-        return 0;
+        return { similarity: 0, fields: [] };
     }
 
-    let totalWeight = 0;
-    let combinedSimilarity = 0;
+    const scores = [];
 
     // 1. URL (highest priority) - exact match
     if (weights.URL > 0) {
         const urlSim = item1.URL && item2.URL && item1.URL === item2.URL ? 1.0 : 
                        jaccardSimilarity(item1.URL, item2.URL);
-        combinedSimilarity += urlSim * weights.URL;
-        totalWeight += weights.URL;
+        scores.push({ field: 'URL', score: urlSim });
     }
 
     // 2. DOI (second priority) - exact match
     if (weights.DOI > 0) {
         const doiSim = item1.DOI && item2.DOI && item1.DOI === item2.DOI ? 1.0 : 0.0;
-        combinedSimilarity += doiSim * weights.DOI;
-        totalWeight += weights.DOI;
+        scores.push({ field: 'DOI', score: doiSim });
     }
 
     // 3. Title (third priority) - with optional fuzzy matching
     if (weights.title > 0) {
         const titleSim = combinedTitleSimilarity(item1.title, item2.title, useFuzzyTitle);
-        combinedSimilarity += titleSim * weights.title;
-        totalWeight += weights.title;
+        scores.push({ field: 'title', score: titleSim });
     }
 
     // 4. Creators/Authors (fourth priority)
     if (weights.creators > 0) {
         const creatorSim = jaccardSimilarity(item1.creators, item2.creators);
-        combinedSimilarity += creatorSim * weights.creators;
-        totalWeight += weights.creators;
+        scores.push({ field: 'creators', score: creatorSim });
     }
 
     // 5. Date/Year (fifth priority) - exact year match is more meaningful
     if (weights.date > 0) {
         const dateSim = item1.year && item2.year && item1.year === item2.year ? 1.0 : 
                         jaccardSimilarity(item1.date, item2.date);
-        combinedSimilarity += dateSim * weights.date;
-        totalWeight += weights.date;
+        scores.push({ field: 'date', score: dateSim });
     }
 
     // 6. Publisher (sixth priority)
     if (weights.publisher > 0) {
         const pubSim = jaccardSimilarity(item1.publisher, item2.publisher);
-        combinedSimilarity += pubSim * weights.publisher;
-        totalWeight += weights.publisher;
+        scores.push({ field: 'publisher', score: pubSim });
     }
 
     // 6. Journal/Publication (sixth priority, tied with publisher)
     if (weights.journal > 0) {
         const journalSim = jaccardSimilarity(item1.journal, item2.journal);
-        combinedSimilarity += journalSim * weights.journal;
-        totalWeight += weights.journal;
+        scores.push({ field: 'journal', score: journalSim });
     }
 
     // Lower priority fields (only if weight > 0)
@@ -519,23 +1129,63 @@ function calculateSimilarity(item1, item2, weights, useFuzzyTitle = true, requir
     for (const field of lowPriorityFields) {
         if (weights[field] > 0) {
             const sim = jaccardSimilarity(item1[field], item2[field]);
-            combinedSimilarity += sim * weights[field];
-            totalWeight += weights[field];
+            scores.push({ field, score: sim });
         }
     }
 
     // Item type handling
     if (weights.itemType > 0) {
         if (requireSameType) {
-            combinedSimilarity += 1.0 * weights.itemType;
-            totalWeight += weights.itemType;
+            scores.push({ field: 'itemType', score: 1.0 });
         }
         // If not requiring same type, skip itemType weight entirely
     }
 
-    return totalWeight > 0 ? combinedSimilarity / totalWeight : 0;
+    let totalWeight = 0;
+    let combinedSimilarity = 0;
+    for (const { field, score } of scores) {
+        combinedSimilarity += score * weights[field];
+        totalWeight += weights[field];
+    }
+
+    const fields = scores.map(({ field, score }) => ({
+        field,
+        score,
+        weight: totalWeight > 0 ? weights[field] / totalWeight : 0,
+        contribution: totalWeight > 0 ? (score * weights[field]) / totalWeight : 0
+    }));
+
+    return {
+        similarity: totalWeight > 0 ? combinedSimilarity / totalWeight : 0,
+        fields
+    };
+}
+
+/**
+ * One line per field, e.g. "  title: 92.0% x 20.0% weight = 18.4 pts"
+ */
+function formatSimilarityBreakdown(breakdown, indent = '  ') {
+    if (!breakdown || breakdown.fields.length === 0) return `${indent}(no field breakdown)`;
+    return breakdown.fields
+        .map(f => `${indent}${f.field}: ${(f.score * 100).toFixed(1)}% x ${(f.weight * 100).toFixed(1)}% weight = ${(f.contribution * 100).toFixed(1)} pts`)
+        .join('\n');
+}
+
+/**
+ * Compact single-line form for prompts, highest contributions first,
+ * e.g. "title 92% (+18.4), creators 100% (+15.0), URL 0% (+0.0)"
+ */
+function formatSimilarityBreakdownShort(breakdown) {
+    if (!breakdown || breakdown.fields.length === 0) return '';
+    return [...breakdown.fields]
+        .sort((a, b) => b.contribution - a.contribution)
+        .map(f => `${f.field} ${(f.score * 100).toFixed(0)}% (+${(f.contribution * 100).toFixed(1)})`)
+        .join(', ');
 }
 
+// Chapters and proceedings papers carry the ISBN of the book they appear in
+const ISBN_SHARED_TYPES = ['booksection', 'conferencepaper'];
+
 function checkExactIdentifierMatch(item1, item2) {
     // URL match (highest priority)
     if (item1.URL && item2.URL && item1.URL === item2.URL) {
@@ -546,89 +1196,157 @@ function checkExactIdentifierMatch(item1, item2) {
     if (item1.DOI && item2.DOI && item1.DOI === item2.DOI) {
         return { match: true, type: 'DOI', value: item1.DOI };
     }
+
+    // Repository identifiers
+    for (const type of ['arXiv', 'PMID', 'PMCID']) {
+        if (item1[type] && item2[type] && item1[type] === item2[type]) {
+            return { match: true, type, value: item1[type] };
+        }
+    }
+
+    // ISBN match (any shared ISBN, ISBN-10 and ISBN-13 are equivalent)
+    if (item1.ISBN && item2.ISBN &&
+        !ISBN_SHARED_TYPES.includes(item1.itemType) && !ISBN_SHARED_TYPES.includes(item2.itemType)) {
+        const isbns2 = item2.ISBN.split(' ');
+        const shared = item1.ISBN.split(' ').find(isbn => isbns2.includes(isbn));
+        if (shared) {
+            return { match: true, type: 'ISBN', value: shared };
+        }
+    }
     
     return { match: false };
 }
 
-async function detectDuplicates(items, threshold, weights, useExactMatch, useFuzzyTitle, requireSameType) {
+async function detectDuplicates(items, threshold, weights, useExactMatch, useFuzzyTitle, requireSameType, useAttachmentHash = false, exclusions = null, pairFilter = null, removeStopWords = false, stats = {}) {
     const potentialDuplicates = [];
     const normalizedItems = [];
-    
-    // Progress reporting
-    const totalComparisons = (items.length * (items.length - 1)) / 2;
-    let comparisonsDone = 0;
-    let lastProgress = 0;
 
     console.log(`Normalizing ${items.length} items...`);
     
     // Normalize all items first
     for (const item of items) {
-        normalizedItems.push(normalizeItemFields(item));
+        normalizedItems.push(normalizeItemFields(item, removeStopWords));
+    }
+
+    // Optional: hash the stored files of each item's attachments
+    if (useAttachmentHash) {
+        stats.ignoredSharedFiles = await hashItemAttachments(normalizedItems);
+    }
+
+    // Small sets are compared exhaustively; larger ones go through the blocking index
+    let candidatePairs = normalizedItems.length < BLOCKING.minItems
+        ? generateAllPairs(normalizedItems.length)
+        : buildCandidatePairs(normalizedItems);
+
+    // Keep only the pairs the caller is interested in (compared as original Zotero items)
+    if (pairFilter) {
+        candidatePairs = candidatePairs.filter(([i, j]) => pairFilter(normalizedItems[i].originalItem, normalizedItems[j].originalItem));
     }
 
-    console.log(`Starting ${totalComparisons} comparisons...`);
+    // Progress reporting
+    const totalComparisons = candidatePairs.length;
+    const allPairsCount = (normalizedItems.length * (normalizedItems.length - 1)) / 2;
+    let comparisonsDone = 0;
+    let lastProgress = 0;
+    let excludedCount = 0;
+
+    console.log(`Starting ${totalComparisons} comparisons (all pairs: ${allPairsCount})...`);
     console.log(`Cross-type duplicates: ${requireSameType ? 'DISABLED' : 'ENABLED'}`);
 
-    // Compare all pairs
-    for (let i = 0; i < normalizedItems.length; i++) {
+    // Compare candidate pairs
+    for (const [i, j] of candidatePairs) {
         const item1 = normalizedItems[i];
+        const item2 = normalizedItems[j];
+        comparisonsDone++;
         
-        for (let j = i + 1; j < normalizedItems.length; j++) {
-            const item2 = normalizedItems[j];
-            comparisonsDone++;
-            
-            // Progress reporting every 10%
-            const progress = Math.floor((comparisonsDone / totalComparisons) * 10);
-            if (progress > lastProgress) {
-                console.log(`Progress: ${progress * 10}% (${comparisonsDone}/${totalComparisons})`);
-                lastProgress = progress;
+        // Progress reporting every 10%
+        const progress = Math.floor((comparisonsDone / totalComparisons) * 10);
+        if (progress > lastProgress) {
+            console.log(`Progress: ${progress * 10}% (${comparisonsDone}/${totalComparisons})`);
+            lastProgress = progress;
+        }
+
+        // Yield to the UI periodically so large libraries don't freeze Zotero
+        if (comparisonsDone % BLOCKING.yieldEvery === 0) {
+            await Zotero.Promise.delay(0);
+        }
+
+        // Skip pairs the user marked as "not a duplicate"
+        if (exclusions && isExcludedPair(exclusions, item1.originalItem, item2.originalItem)) {
+            excludedCount++;
+            continue;
+        }
+
+        let isDuplicate = false;
+        let similarity = 0;
+        let matchReason = '';
+        let breakdown = null;
+
+        // Check exact identifier match first (fast path)
+        // Note: DOI/ISBN matches should work across item types
+        if (useExactMatch) {
+            const exactMatch = checkExactIdentifierMatch(item1, item2);
+            if (exactMatch.match) {
+                isDuplicate = true;
+                similarity = 1.0;
+                matchReason = `Exact ${exactMatch.type} match: ${exactMatch.value}`;
+                
+                // Add item type info if different
+                if (item1.itemType !== item2.itemType) {
+                    matchReason += ` (types differ: ${item1.itemType} vs ${item2.itemType})`;
+                }
             }
+        }
 
-            let isDuplicate = false;
-            let similarity = 0;
-            let matchReason = '';
-
-            // Check exact identifier match first (fast path)
-            // Note: DOI/ISBN matches should work across item types
-            if (useExactMatch) {
-                const exactMatch = checkExactIdentifierMatch(item1, item2);
-                if (exactMatch.match) {
-                    isDuplicate = true;
-                    similarity = 1.0;
-                    matchReason = `Exact ${exactMatch.type} match: ${exactMatch.value}`;
-                    
-                    // Add item type info if different
-                    if (item1.itemType !== item2.itemType) {
-                        matchReason += ` (types differ: ${item1.itemType} vs ${item2.itemType})`;
-                    }
+        // Byte-identical attachment files are exact duplicates regardless of metadata
+        if (!isDuplicate && useAttachmentHash) {
+            const sharedFile = findSharedAttachment(item1, item2);
+            if (sharedFile) {
+                isDuplicate = true;
+                similarity = 1.0;
+                matchReason = `Identical attachment: ${sharedFile}`;
+
+                // Add item type info if different
+                if (item1.itemType !== item2.itemType) {
+                    matchReason += ` (types differ: ${item1.itemType} vs ${item2.itemType})`;
                 }
             }
+        }
 
-            // If no exact match, calculate similarity
-            if (!isDuplicate) {
-                similarity = calculateSimilarity(item1, item2, weights, useFuzzyTitle, requireSameType);
-                if (similarity >= threshold) {
-                    isDuplicate = true;
-                    matchReason = `Similarity: ${(similarity * 100).toFixed(1)}%`;
-                    
-                    // Add item type info if different
-                    if (item1.itemType !== item2.itemType) {
-                        matchReason += ` (types differ: ${item1.itemType} vs ${item2.itemType})`;
-                    }
+        // If no exact match, calculate similarity
+        if (!isDuplicate) {
+            breakdown = calculateSimilarityBreakdown(item1, item2, weights, useFuzzyTitle, requireSameType);
+            similarity = breakdown.similarity;
+            if (similarity >= threshold) {
+                isDuplicate = true;
+                matchReason = `Similarity: ${(similarity * 100).toFixed(1)}%`;
+                
+                // Add item type info if different
+                if (item1.itemType !== item2.itemType) {
+                    matchReason += ` (types differ: ${item1.itemType} vs ${item2.itemType})`;
                 }
             }
+        }
 
-            if (isDuplicate) {
-                potentialDuplicates.push({
-                    item1: item1,
-                    item2: item2,
-                    similarity: similarity,
-                    reason: matchReason
-                });
+        if (isDuplicate) {
+            // Exact matches skip scoring; compute the breakdown so reviewers still see it
+            if (!breakdown) {
+                breakdown = calculateSimilarityBreakdown(item1, item2, weights, useFuzzyTitle, requireSameType);
             }
+            potentialDuplicates.push({
+                item1: item1,
+                item2: item2,
+                similarity: similarity,
+                reason: matchReason,
+                breakdown: breakdown
+            });
         }
     }
 
+    if (excludedCount > 0) {
+        console.log(`Skipped ${excludedCount} pairs marked as "not a duplicate"`);
+    }
+
     // Sort by similarity (highest first)
     potentialDuplicates.sort((a, b) => b.similarity - a.similarity);
 
@@ -637,177 +1355,1773 @@ async function detectDuplicates(items, threshold, weights, useExactMatch, useFuz
 
 
 // ============================================================================
-// DUPLICATE HANDLING
+// ATTACHMENT CONTENT HASHING
 // ============================================================================
 
-async function handleDetectedDuplicates(duplicates) {
-    if (duplicates.length === 0) {
-        console.log("No duplicates found.");
-        alert("No duplicates found.");
-        return;
+const HASH_CACHE_FILE = 'duplicate-attachment-hashes.json';
+
+const ATTACHMENT_HASHING = {
+    minFileSize: 1024,      // Empty and tiny files (placeholders, stubs) are not compared
+    maxItemsPerHash: 3      // A file shared by more items with different titles or DOIs is boilerplate (e.g., a publisher cover sheet)
+};
+
+function getHashCacheFilePath() {
+    return PathUtils.join(Zotero.DataDirectory.dir, HASH_CACHE_FILE);
+}
+
+async function loadHashCache() {
+    const path = getHashCacheFilePath();
+    try {
+        if (await IOUtils.exists(path)) {
+            const data = JSON.parse(await Zotero.File.getContentsAsync(path));
+            return data.files || {};
+        }
+    } catch (error) {
+        console.error(`Could not read attachment hash cache from ${path}: ${error.message}`);
+    }
+    return {};
+}
+
+async function saveHashCache(cache) {
+    const path = getHashCacheFilePath();
+    const data = { version: 1, algorithm: 'SHA-256', files: cache };
+    await Zotero.File.putContentsAsync(path, JSON.stringify(data));
+}
+
+async function hashFile(path) {
+    const bytes = await IOUtils.read(path);
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return Array.from(new Uint8Array(digest))
+        .map(b => b.toString(16).padStart(2, '0'))
+        .join('');
+}
+
+/**
+ * Set `attachmentHashes` (Map of hash -> filename) on each normalized item.
+ * Hashes are cached by path and reused while the file's mtime and size are unchanged.
+ * Files below ATTACHMENT_HASHING.minFileSize are left out, and so are hashes shared by more
+ * than ATTACHMENT_HASHING.maxItemsPerHash items that are different records, as they do not
+ * identify a record. Returns the number of shared files that were left out.
+ */
+async function hashItemAttachments(normalizedItems) {
+    const cache = await loadHashCache();
+    const seenPaths = new Set();
+    let hashed = 0;
+    let cached = 0;
+    let tooSmall = 0;
+    let failed = 0;
+
+    console.log(`Hashing attachment files of ${normalizedItems.length} items...`);
+
+    for (let i = 0; i < normalizedItems.length; i++) {
+        const normalizedItem = normalizedItems[i];
+        normalizedItem.attachmentHashes = new Map();
+
+        const attachments = Zotero.Items.get(normalizedItem.originalItem.getAttachments());
+        for (const attachment of attachments) {
+            if (!attachment.isFileAttachment()) continue;
+
+            const path = await attachment.getFilePathAsync();
+            if (!path) continue;  // File not stored locally
+            seenPaths.add(path);
+
+            try {
+                const stat = await IOUtils.stat(path);
+                if (stat.size < ATTACHMENT_HASHING.minFileSize) {
+                    tooSmall++;
+                    continue;
+                }
+
+                const entry = cache[path];
+                let hash;
+                if (entry && entry.mtime === stat.lastModified && entry.size === stat.size) {
+                    hash = entry.hash;
+                    cached++;
+                } else {
+                    hash = await hashFile(path);
+                    cache[path] = { mtime: stat.lastModified, size: stat.size, hash };
+                    hashed++;
+                }
+                normalizedItem.attachmentHashes.set(hash, PathUtils.filename(path));
+            } catch (error) {
+                console.error(`Could not hash attachment ${path}: ${error.message}`);
+                failed++;
+            }
+        }
+
+        if ((i + 1) % 100 === 0) {
+            console.log(`Hashing progress: ${i + 1}/${normalizedItems.length} items`);
+            await Zotero.Promise.delay(0);
+        }
+    }
+
+    console.log(`Attachment hashes: ${hashed} computed, ${cached} from cache, ${tooSmall} too small, ${failed} failed`);
+
+    // Drop hashes that many different records share. Several imported copies of the
+    // same paper agree on their title and DOI, so they keep their shared file.
+    const itemsPerHash = new Map();
+    for (const normalizedItem of normalizedItems) {
+        for (const hash of normalizedItem.attachmentHashes.keys()) {
+            if (!itemsPerHash.has(hash)) itemsPerHash.set(hash, []);
+            itemsPerHash.get(hash).push(normalizedItem);
+        }
+    }
+    const commonHashes = [...itemsPerHash]
+        .filter(([, sharingItems]) => sharingItems.length > ATTACHMENT_HASHING.maxItemsPerHash && !isSameRecord(sharingItems))
+        .map(([hash]) => hash);
+    if (commonHashes.length) {
+        for (const normalizedItem of normalizedItems) {
+            commonHashes.forEach(hash => normalizedItem.attachmentHashes.delete(hash));
+        }
+        console.log(`Ignoring ${commonHashes.length} attachment file(s) shared by more than ${ATTACHMENT_HASHING.maxItemsPerHash} items with different titles or DOIs`);
+    }
+
+    // Remove cache entries of files that no longer exist or are now too small
+    let pruned = 0;
+    for (const path of Object.keys(cache)) {
+        const stale = seenPaths.has(path)
+            ? cache[path].size < ATTACHMENT_HASHING.minFileSize
+            : !(await IOUtils.exists(path));
+        if (stale) {
+            delete cache[path];
+            pruned++;
+        }
+    }
+    if (pruned) {
+        console.log(`Removed ${pruned} stale entries from the attachment hash cache`);
+    }
+
+    try {
+        await saveHashCache(cache);
+    } catch (error) {
+        console.error(`Could not save attachment hash cache: ${error.message}`);
+    }
+
+    return commonHashes.length;
+}
+
+/**
+ * True if the normalized items have at most one distinct title and one distinct DOI
+ * (empty values are ignored), i.e., they are copies of the same record.
+ */
+function isSameRecord(normalizedItems) {
+    const countDistinct = (values) => new Set(values.filter(Boolean)).size;
+    return countDistinct(normalizedItems.map(item => item.title)) <= 1
+        && countDistinct(normalizedItems.map(item => item.DOI)) <= 1;
+}
+
+/**
+ * Filename of an attachment file both items share, or null.
+ */
+function findSharedAttachment(item1, item2) {
+    if (!item1.attachmentHashes || !item2.attachmentHashes) return null;
+    for (const [hash, filename] of item1.attachmentHashes) {
+        if (item2.attachmentHashes.has(hash)) return filename;
+    }
+    return null;
+}
+
+
+// ============================================================================
+// CANDIDATE GENERATION (BLOCKING)
+// ============================================================================
+
+const BLOCKING = {
+    minItems: 500,          // Below this, compare all pairs
+    maxBlockSize: 100,      // Title token blocks larger than this are too common to be useful
+    minTokenLength: 4,      // Ignore short title words ("the", "of", "and"...)
+    windowSize: 10,         // Sorted-neighborhood window
+    yieldEvery: 5000        // Comparisons between UI yields
+};
+
+function generateAllPairs(count) {
+    const pairs = [];
+    for (let i = 0; i < count; i++) {
+        for (let j = i + 1; j < count; j++) {
+            pairs.push([i, j]);
+        }
+    }
+    return pairs;
+}
+
+function buildCandidatePairs(normalizedItems) {
+    const count = normalizedItems.length;
+    const seen = new Set();
+    const pairs = [];
+
+    const addPair = (a, b) => {
+        if (a === b) return;
+        const i = Math.min(a, b);
+        const j = Math.max(a, b);
+        const key = i * count + j;
+        if (seen.has(key)) return;
+        seen.add(key);
+        pairs.push([i, j]);
+    };
+
+    const addBlock = (indices) => {
+        for (let x = 0; x < indices.length; x++) {
+            for (let y = x + 1; y < indices.length; y++) {
+                addPair(indices[x], indices[y]);
+            }
+        }
+    };
+
+    // 1. Exact identifier buckets (always compared, regardless of bucket size)
+    for (const field of ['DOI', 'ISBN', 'URL', 'arXiv', 'PMID', 'PMCID']) {
+        const buckets = bucketBy(normalizedItems, item => item[field] ? item[field].split(' ') : []);
+        for (const indices of buckets.values()) {
+            addBlock(indices);
+        }
+    }
+    // Attachment file hashes, when the hash pass is enabled
+    const hashBuckets = bucketBy(normalizedItems, item => item.attachmentHashes ? [...item.attachmentHashes.keys()] : []);
+    for (const indices of hashBuckets.values()) {
+        addBlock(indices);
+    }
+    const identifierPairs = pairs.length;
+
+    // 2. Title token blocks - items sharing at least one distinctive title word
+    const titleBuckets = bucketBy(normalizedItems, item => getTitleBlockingTokens(item.title));
+    let skippedBlocks = 0;
+    for (const indices of titleBuckets.values()) {
+        if (indices.length > BLOCKING.maxBlockSize) {
+            skippedBlocks++;
+            continue;
+        }
+        addBlock(indices);
+    }
+    const titlePairs = pairs.length - identifierPairs;
+
+    // 3. Sorted neighborhood - catches typos in otherwise distinctive words
+    const sortKeys = [
+        item => item.title.replace(/\s+/g, ''),
+        item => `${item.creators} ${item.year}`
+    ];
+    for (const sortKey of sortKeys) {
+        const order = normalizedItems
+            .map((item, index) => ({ index, key: sortKey(item) }))
+            .filter(entry => entry.key.trim().length > 0)
+            .sort((a, b) => a.key < b.key ? -1 : a.key > b.key ? 1 : 0);
+        for (let x = 0; x < order.length; x++) {
+            for (let y = x + 1; y < Math.min(order.length, x + BLOCKING.windowSize); y++) {
+                addPair(order[x].index, order[y].index);
+            }
+        }
+    }
+    const neighborhoodPairs = pairs.length - identifierPairs - titlePairs;
+
+    console.log(`Blocking index: ${identifierPairs} identifier pairs, ${titlePairs} title-block pairs ` +
+        `(${skippedBlocks} oversized blocks skipped), ${neighborhoodPairs} sorted-neighborhood pairs`);
+
+    return pairs;
+}
+
+function bucketBy(normalizedItems, getKeys) {
+    const buckets = new Map();
+    normalizedItems.forEach((item, index) => {
+        for (const key of getKeys(item)) {
+            if (!buckets.has(key)) buckets.set(key, []);
+            buckets.get(key).push(index);
+        }
+    });
+    return buckets;
+}
+
+function getTitleBlockingTokens(title) {
+    if (!title) return [];
+    const tokens = title.split(/\s+/).filter(t => t.length >= BLOCKING.minTokenLength);
+    return [...new Set(tokens)];
+}
+
+
+// ============================================================================
+// INCREMENTAL CANDIDATES
+// ============================================================================
+
+/**
+ * Find the library items that share a blocking key with the new items: an identifier,
+ * a distinctive title word, or the first creator and year. Keys are looked up with
+ * Zotero searches, so the rest of the library is neither loaded nor normalized.
+ * Returns the items to compare (new items first) and a Map of new item ID -> Set of
+ * candidate item IDs.
+ */
+async function findIncrementalCandidates(newItems, libraryID) {
+    const candidates = new Map();
+    const candidateIDs = new Set();
+    let skippedSearches = 0;
+
+    for (const newItem of newItems) {
+        const ids = new Set();
+        for (const { conditions, identifier } of getBlockingSearches(normalizeItemFields(newItem))) {
+            const search = new Zotero.Search();
+            search.libraryID = libraryID;
+            for (const [condition, operator, value] of conditions) {
+                search.addCondition(condition, operator, value);
+            }
+            const found = await search.search();
+
+            // Like oversized title blocks, keys that match too many items are not useful
+            if (!identifier && found.length > BLOCKING.maxBlockSize) {
+                skippedSearches++;
+                continue;
+            }
+            found.forEach(id => ids.add(id));
+        }
+        ids.delete(newItem.id);
+        ids.forEach(id => candidateIDs.add(id));
+        candidates.set(newItem.id, ids);
+    }
+
+    const newItemIDs = new Set(newItems.map(newItem => newItem.id));
+    const candidateItems = (await Zotero.Items.getAsync([...candidateIDs].filter(id => !newItemIDs.has(id))))
+        .filter(candidate => candidate && !candidate.deleted && candidate.isRegularItem());
+
+    console.log(`Incremental candidates: ${candidateItems.length} library items share a blocking key with ${newItems.length} new items (${skippedSearches} common keys skipped)`);
+
+    return { items: [...newItems, ...candidateItems], candidates };
+}
+
+/**
+ * Searches for the blocking keys of a normalized item. Identifier searches are always
+ * used; the others are dropped when they match more than BLOCKING.maxBlockSize items.
+ */
+function getBlockingSearches(normalizedItem) {
+    const searches = [];
+    const original = normalizedItem.originalItem;
+    const addSearch = (identifier, ...conditions) => searches.push({ identifier, conditions });
+
+    if (normalizedItem.DOI) addSearch(true, ['DOI', 'contains', normalizedItem.DOI]);
+    for (const isbn of normalizedItem.ISBN ? normalizedItem.ISBN.split(' ') : []) {
+        // The nine digits an ISBN-13 shares with its ISBN-10 find both forms
+        addSearch(true, ['ISBN', 'contains', isbn.slice(3, 12)]);
+    }
+    if (normalizedItem.URL) addSearch(true, ['url', 'contains', normalizedItem.URL]);
+    for (const identifier of [normalizedItem.arXiv, normalizedItem.PMID, normalizedItem.PMCID].filter(Boolean)) {
+        addSearch(false, ['quicksearch-fields', 'contains', identifier]);
+    }
+
+    // Distinctive words of the title as it is stored (the search does not fold diacritics)
+    const titleWords = (original.getField('title') || '')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(word => word.length >= BLOCKING.minTokenLength && !STOP_WORDS.has(word));
+    for (const word of new Set(titleWords)) {
+        addSearch(false, ['title', 'contains', word]);
+    }
+
+    // Stands in for the creators/year sorted neighborhood
+    const firstCreator = original.getCreators()[0];
+    const lastName = firstCreator && (firstCreator.lastName || firstCreator.name);
+    if (lastName && normalizedItem.year) {
+        addSearch(false, ['creator', 'contains', lastName], ['year', 'is', normalizedItem.year]);
+    }
+
+    return searches;
+}
+
+/**
+ * Whether a pair is a new item and one of its candidates.
+ */
+function isIncrementalCandidatePair(candidates, item1, item2) {
+    return (candidates.has(item1.id) && candidates.get(item1.id).has(item2.id)) ||
+        (candidates.has(item2.id) && candidates.get(item2.id).has(item1.id));
+}
+
+
+// ============================================================================
+// DUPLICATE CLUSTERING
+// ============================================================================
+
+/**
+ * Group duplicate pairs into connected clusters using union-find, so that
+ * three copies of the same item become one cluster instead of three pairs.
+ */
+function buildDuplicateClusters(duplicates) {
+    const parent = new Map();
+
+    const find = (id) => {
+        let root = id;
+        while (parent.get(root) !== root) root = parent.get(root);
+        // Path compression
+        while (parent.get(id) !== root) {
+            const next = parent.get(id);
+            parent.set(id, root);
+            id = next;
+        }
+        return root;
+    };
+
+    const union = (id1, id2) => {
+        if (!parent.has(id1)) parent.set(id1, id1);
+        if (!parent.has(id2)) parent.set(id2, id2);
+        const root1 = find(id1);
+        const root2 = find(id2);
+        if (root1 !== root2) parent.set(root2, root1);
+    };
+
+    for (const { item1, item2 } of duplicates) {
+        union(item1.id, item2.id);
+    }
+
+    const clustersByRoot = new Map();
+    const getCluster = (id) => {
+        const root = find(id);
+        if (!clustersByRoot.has(root)) {
+            clustersByRoot.set(root, { items: new Map(), pairs: [], similarity: 0 });
+        }
+        return clustersByRoot.get(root);
+    };
+
+    for (const pair of duplicates) {
+        const cluster = getCluster(pair.item1.id);
+        cluster.items.set(pair.item1.id, pair.item1);
+        cluster.items.set(pair.item2.id, pair.item2);
+        cluster.pairs.push(pair);
+        cluster.similarity = Math.max(cluster.similarity, pair.similarity);
+    }
+
+    const clusters = [...clustersByRoot.values()].map(cluster => ({
+        items: [...cluster.items.values()],
+        pairs: cluster.pairs,
+        similarity: cluster.similarity
+    }));
+
+    // Highest similarity first, larger clusters first on ties
+    clusters.sort((a, b) => (b.similarity - a.similarity) || (b.items.length - a.items.length));
+
+    return clusters;
+}
+
+/**
+ * Suggest the record to keep: the item with the most filled-in fields,
+ * then the one added to the library first.
+ */
+function suggestMasterIndex(clusterItems) {
+    let bestIndex = 0;
+    let bestScore = -1;
+    let bestDate = '';
+
+    clusterItems.forEach((normalizedItem, index) => {
+        const original = normalizedItem.originalItem;
+        const score = original.getUsedFields().length + original.getCreators().length;
+        const dateAdded = original.dateAdded || '';
+        if (score > bestScore || (score === bestScore && dateAdded < bestDate)) {
+            bestIndex = index;
+            bestScore = score;
+            bestDate = dateAdded;
+        }
+    });
+
+    return bestIndex;
+}
+
+
+// ============================================================================
+// DUPLICATE HANDLING
+// ============================================================================
+
+async function handleDetectedDuplicates(clusters, exclusions) {
+    if (clusters.length === 0) {
+        console.log("No duplicates found.");
+        alert("No duplicates found.");
+        return;
+    }
+
+    const pairCount = clusters.reduce((sum, cluster) => sum + cluster.pairs.length, 0);
+
+    // Ask user for batch handling preference
+    const batchChoice = prompt(
+        `Found ${clusters.length} duplicate clusters (${pairCount} pairs).\n\n` +
+        `How would you like to handle them?\n\n` +
+        `1. Review each cluster individually\n` +
+        `2. Tag all clusters (one 'duplicate-check' tag per cluster)\n` +
+        `3. Show summary only (no changes)\n` +
+        `4. Export report to a file (CSV, JSON or HTML)\n\n` +
+        `Enter choice (1-4):`,
+        "1"
+    );
+
+    if (batchChoice === null) return;
+
+    const choice = batchChoice.trim();
+
+    if (choice === '4') {
+        // Export full report
+        await exportDuplicateReport(clusters);
+        return;
+    }
+
+    if (choice === '2') {
+        // Batch tag all
+        await batchTagDuplicates(clusters);
+        return;
+    }
+
+    if (choice === '3') {
+        // Summary only
+        showDuplicateSummary(clusters);
+        return;
+    }
+
+    // Individual review (default)
+    await reviewDuplicatesIndividually(clusters, exclusions);
+}
+
+async function batchTagDuplicates(clusters) {
+    const timestamp = Date.now();
+    let taggedCount = 0;
+
+    for (let i = 0; i < clusters.length; i++) {
+        const tag = `duplicate-check-${timestamp}-${i + 1}`;
+        for (const normalizedItem of clusters[i].items) {
+            const original = normalizedItem.originalItem;
+            original.addTag(tag);
+            await original.saveTx();
+            taggedCount++;
+        }
+    }
+
+    console.log(`Tagged ${taggedCount} items in ${clusters.length} duplicate clusters with tags: duplicate-check-${timestamp}-<cluster>`);
+    alert(`Tagged ${taggedCount} items in ${clusters.length} clusters.\n\nEach cluster has its own tag: duplicate-check-${timestamp}-<cluster number>\n\nYou can find all potential duplicates by searching for "duplicate-check-${timestamp}".`);
+}
+
+function showDuplicateSummary(clusters) {
+    console.log("\n=== DUPLICATE SUMMARY ===\n");
+    
+    for (let i = 0; i < Math.min(clusters.length, 50); i++) {
+        const { items, pairs, similarity } = clusters[i];
+        console.log(`Cluster ${i + 1}: ${items.length} items, ${pairs.length} pairs, best similarity ${(similarity * 100).toFixed(1)}%`);
+        items.forEach((normalizedItem, index) => {
+            console.log(`  Item ${index + 1}: ${normalizedItem.title}`);
+        });
+        for (const { item1, item2, reason, breakdown } of pairs) {
+            console.log(`    ${items.indexOf(item1) + 1} <-> ${items.indexOf(item2) + 1}: ${reason}`);
+            console.log(formatSimilarityBreakdown(breakdown, '      '));
+        }
+        console.log('');
+    }
+
+    if (clusters.length > 50) {
+        console.log(`... and ${clusters.length - 50} more clusters`);
+    }
+
+    alert(`Found ${clusters.length} duplicate clusters.\nCheck the console for the full list.`);
+}
+
+async function reviewDuplicatesIndividually(clusters, exclusions) {
+    const timestamp = Date.now();
+    let processed = 0;
+    let tagged = 0;
+    let merged = 0;
+    let trashed = 0;
+    let excluded = 0;
+    let skipped = 0;
+
+    for (const cluster of clusters) {
+        processed++;
+
+        const { items, pairs } = cluster;
+        const suggestedMaster = suggestMasterIndex(items);
+
+        // Build informative prompt
+        const itemsInfo = items
+            .map((normalizedItem, index) => `--- ITEM ${index + 1}${index === suggestedMaster ? ' (suggested master)' : ''} ---\n${buildItemInfo(normalizedItem)}`)
+            .join('\n\n');
+        const reasons = pairs
+            .map(({ item1, item2, reason, breakdown }) =>
+                `${items.indexOf(item1) + 1} <-> ${items.indexOf(item2) + 1}: ${reason}\n` +
+                `   ${formatSimilarityBreakdownShort(breakdown)}`)
+            .join('\n');
+
+        const action = prompt(
+            `Duplicate cluster ${processed}/${clusters.length} (${items.length} items)\n` +
+            `${reasons}\n\n` +
+            `${itemsInfo}\n\n` +
+            `Actions:\n` +
+            `1. Tag all items in the cluster\n` +
+            `2. Merge the others into a master item (merged items are trashed)\n` +
+            `3. Trash the others (keep a master item)\n` +
+            `4. Mark as not duplicates (won't be shown again)\n` +
+            `5. Skip this cluster\n` +
+            `6. Stop reviewing\n\n` +
+            `Enter choice (1-6):`,
+            "5"
+        );
+
+        if (action === null || action.trim() === '6') {
+            console.log("User stopped reviewing.");
+            break;
+        }
+
+        const choice = action.trim();
+
+        try {
+            switch (choice) {
+                case '1': {
+                    const tag = `duplicate-cluster-${timestamp}-${processed}`;
+                    for (const normalizedItem of items) {
+                        normalizedItem.originalItem.addTag(tag);
+                        await normalizedItem.originalItem.saveTx();
+                    }
+                    tagged += items.length;
+                    console.log(`Tagged cluster of ${items.length} items with "${tag}": "${items[0].title}"`);
+                    break;
+                }
+
+                case '2': {
+                    const masterIndex = chooseMasterIndex(items, suggestedMaster);
+                    if (masterIndex === null) {
+                        skipped++;
+                        break;
+                    }
+                    const master = items[masterIndex].originalItem;
+                    const otherIndexes = items.map((_, index) => index).filter(index => index !== masterIndex);
+                    const others = otherIndexes.map(index => items[index].originalItem);
+                    if (await mergeDuplicateItems(master, others, otherIndexes.map(index => index + 1))) {
+                        merged += others.length;
+                        console.log(`Merged ${others.length} item(s) into Item ${masterIndex + 1}: "${items[masterIndex].title}"`);
+                    } else {
+                        skipped++;
+                    }
+                    break;
+                }
+
+                case '3': {
+                    const masterIndex = chooseMasterIndex(items, suggestedMaster);
+                    if (masterIndex === null) {
+                        skipped++;
+                        break;
+                    }
+                    const others = items.filter((_, index) => index !== masterIndex);
+                    await Zotero.Items.trashTx(others.map(i => i.originalItem.id));
+                    trashed += others.length;
+                    console.log(`Trashed ${others.length} item(s), kept Item ${masterIndex + 1}: "${items[masterIndex].title}"`);
+                    break;
+                }
+
+                case '4': {
+                    const separated = chooseItemsToSeparate(items);
+                    if (separated === null) {
+                        skipped++;
+                        break;
+                    }
+                    // Separated items are excluded against every other item in the cluster;
+                    // with no selection, every pair in the cluster is excluded
+                    let added = 0;
+                    for (let x = 0; x < items.length; x++) {
+                        for (let y = x + 1; y < items.length; y++) {
+                            if (separated.length && !separated.includes(x) && !separated.includes(y)) continue;
+                            if (addExclusion(exclusions, items[x].originalItem, items[y].originalItem)) added++;
+                        }
+                    }
+                    await saveExclusions(exclusions);
+                    excluded += added;
+                    console.log(`Marked ${added} pair(s) as not duplicates: "${items[0].title}"`);
+                    break;
+                }
+
+                default:
+                    skipped++;
+                    console.log(`Skipped cluster: "${items[0].title}" (${items.length} items)`);
+            }
+        } catch (error) {
+            console.error(`Error processing duplicate cluster: ${error.message}`);
+        }
+    }
+
+    const summary = `Review complete!\n\n` +
+        `Clusters reviewed: ${processed}\n` +
+        `Items tagged: ${tagged}\n` +
+        `Items merged: ${merged}\n` +
+        `Items trashed: ${trashed}\n` +
+        `Pairs marked as not duplicates: ${excluded}\n` +
+        `Clusters skipped: ${skipped}`;
+    
+    console.log(summary);
+    alert(summary);
+}
+
+function chooseMasterIndex(clusterItems, suggestedIndex) {
+    if (clusterItems.length === 0) return null;
+
+    const input = prompt(
+        `Which item should be kept as the master record? (1-${clusterItems.length})`,
+        String(suggestedIndex + 1)
+    );
+    if (input === null) return null;
+
+    const index = parseInt(input.trim(), 10);
+    if (isNaN(index) || index < 1 || index > clusterItems.length) {
+        alert(`Invalid item number: "${input}". Skipping this cluster.`);
+        return null;
+    }
+    return index - 1;
+}
+
+
+function chooseItemsToSeparate(clusterItems) {
+    if (clusterItems.length === 2) return [];
+
+    const input = prompt(
+        `Enter the numbers of the items that are NOT duplicates of the others (comma-separated, e.g., "2").\n\n` +
+        `Leave empty to mark every item in this cluster as distinct:`,
+        ""
+    );
+    if (input === null) return null;
+
+    const separated = [];
+    for (const part of input.split(',').map(s => s.trim()).filter(s => s.length > 0)) {
+        const index = parseInt(part, 10);
+        if (isNaN(index) || index < 1 || index > clusterItems.length) {
+            alert(`Ignoring invalid item number: "${part}"`);
+            continue;
+        }
+        separated.push(index - 1);
+    }
+    return separated;
+}
+
+
+// ============================================================================
+// "NOT A DUPLICATE" EXCLUSIONS
+// ============================================================================
+
+const EXCLUSIONS_FILE = 'duplicate-exclusions.json';
+
+function getExclusionsFilePath() {
+    return PathUtils.join(Zotero.DataDirectory.dir, EXCLUSIONS_FILE);
+}
+
+/**
+ * Load the exclusion list from the Zotero data directory.
+ * Entries are stored by library ID and item key, so they survive restarts and syncs.
+ * readFailed is set when the file exists but cannot be read, so that saving does not
+ * replace it without a backup.
+ */
+async function loadExclusions() {
+    const path = getExclusionsFilePath();
+    let entries = [];
+    let readFailed = false;
+
+    try {
+        if (await IOUtils.exists(path)) {
+            const data = JSON.parse(await Zotero.File.getContentsAsync(path));
+            entries = Array.isArray(data.exclusions) ? data.exclusions : [];
+        }
+    } catch (error) {
+        readFailed = true;
+        console.error(`Could not read exclusions from ${path}: ${error.message}`);
+        alert(`Could not read the "not a duplicate" list (${error.message}).\nContinuing without exclusions.\n\nIf exclusions are saved in this run, the unreadable file is kept as ${EXCLUSIONS_FILE}.bak.`);
+    }
+
+    const pairKeys = new Set(entries.map(e => getExclusionPairKey(e.libraryID, e.keys[0], e.keys[1])));
+    console.log(`Loaded ${entries.length} "not a duplicate" exclusions from ${path}`);
+    return { entries, pairKeys, readFailed };
+}
+
+async function saveExclusions(exclusions) {
+    const path = getExclusionsFilePath();
+    if (exclusions.readFailed) {
+        await backUpUnreadableFile(path);
+        exclusions.readFailed = false;
+    }
+    const data = { version: 1, exclusions: exclusions.entries };
+    await Zotero.File.putContentsAsync(path, JSON.stringify(data, null, 2));
+}
+
+// Copy a data file that could not be read to <file>.bak before it is written again
+async function backUpUnreadableFile(path) {
+    const backupPath = `${path}.bak`;
+    await IOUtils.copy(path, backupPath);
+    console.log(`Copied the unreadable file ${path} to ${backupPath}`);
+}
+
+function getExclusionPairKey(libraryID, key1, key2) {
+    return `${libraryID}:${[key1, key2].sort().join('|')}`;
+}
+
+function isExcludedPair(exclusions, original1, original2) {
+    if (original1.libraryID !== original2.libraryID) return false;
+    return exclusions.pairKeys.has(getExclusionPairKey(original1.libraryID, original1.key, original2.key));
+}
+
+function addExclusion(exclusions, original1, original2) {
+    if (isExcludedPair(exclusions, original1, original2)) return false;
+
+    const pairKey = getExclusionPairKey(original1.libraryID, original1.key, original2.key);
+    exclusions.pairKeys.add(pairKey);
+    exclusions.entries.push({
+        libraryID: original1.libraryID,
+        keys: [original1.key, original2.key],
+        titles: [original1.getField('title'), original2.getField('title')],
+        dateAdded: new Date().toISOString()
+    });
+    return true;
+}
+
+async function manageExclusions() {
+    const exclusions = await loadExclusions();
+
+    while (true) {
+        if (exclusions.entries.length === 0) {
+            alert(`There are no "not a duplicate" exclusions.\n\nFile: ${getExclusionsFilePath()}`);
+            return;
+        }
+
+        const preview = exclusions.entries
+            .slice(0, 10)
+            .map((e, index) => `${index + 1}. ${e.titles[0]}\n    vs ${e.titles[1]}`)
+            .join('\n');
+        const more = exclusions.entries.length > 10 ? `\n... and ${exclusions.entries.length - 10} more` : '';
+
+        const input = prompt(
+            `"Not a duplicate" exclusions: ${exclusions.entries.length}\n\n${preview}${more}\n\n` +
+            `1. Show all in the console\n` +
+            `2. Remove exclusions by number\n` +
+            `3. Clear all exclusions\n` +
+            `4. Done\n\n` +
+            `Enter choice (1-4):`,
+            "4"
+        );
+
+        const choice = input === null ? '4' : input.trim();
+
+        if (choice === '1') {
+            console.log(`\n=== "NOT A DUPLICATE" EXCLUSIONS (${exclusions.entries.length}) ===\n`);
+            exclusions.entries.forEach((e, index) => {
+                console.log(`${index + 1}. [library ${e.libraryID}] ${e.keys[0]} / ${e.keys[1]} (added ${e.dateAdded})`);
+                console.log(`  ${e.titles[0]}`);
+                console.log(`  ${e.titles[1]}`);
+            });
+            alert("Check the console for the full list.");
+        } else if (choice === '2') {
+            const numbers = prompt(`Enter the numbers of the exclusions to remove (comma-separated, 1-${exclusions.entries.length}):`, "");
+            if (numbers === null) continue;
+            const toRemove = new Set(numbers.split(',')
+                .map(part => parseInt(part.trim(), 10) - 1)
+                .filter(index => index >= 0 && index < exclusions.entries.length));
+            exclusions.entries = exclusions.entries.filter((_, index) => !toRemove.has(index));
+            exclusions.pairKeys = new Set(exclusions.entries.map(e => getExclusionPairKey(e.libraryID, e.keys[0], e.keys[1])));
+            await saveExclusions(exclusions);
+            console.log(`Removed ${toRemove.size} exclusions`);
+        } else if (choice === '3') {
+            if (!confirm(`Remove all ${exclusions.entries.length} exclusions? Previously dismissed pairs will be shown again.`)) continue;
+            exclusions.entries = [];
+            exclusions.pairKeys = new Set();
+            await saveExclusions(exclusions);
+            console.log("Cleared all exclusions");
+        } else {
+            return;
+        }
+    }
+}
+
+
+// ============================================================================
+// REPORT EXPORT
+// ============================================================================
+
+async function exportDuplicateReport(clusters) {
+    const formatChoice = prompt(
+        `Export ${clusters.length} duplicate clusters.\n\n` +
+        `Choose a format:\n` +
+        `1. CSV (one row per pair, for spreadsheets)\n` +
+        `2. JSON (clusters with items and pairs)\n` +
+        `3. HTML (self-contained page with links into Zotero)\n\n` +
+        `Enter choice (1-3):`,
+        "1"
+    );
+    if (formatChoice === null) return;
+
+    const format = { '2': 'json', '3': 'html' }[formatChoice.trim()] || 'csv';
+    const report = buildDuplicateReport(clusters);
+
+    let content;
+    switch (format) {
+        case 'json':
+            content = JSON.stringify(report, null, 2);
+            break;
+        case 'html':
+            content = formatReportHTML(report);
+            break;
+        default:
+            content = formatReportCSV(report);
+    }
+
+    const dateStamp = new Date().toISOString().slice(0, 10);
+    const path = await getReportFilePath(`duplicate-report-${dateStamp}.${format}`, format);
+    if (!path) {
+        console.log("Export cancelled.");
+        return;
+    }
+
+    await Zotero.File.putContentsAsync(path, content);
+
+    const pairCount = report.clusters.reduce((sum, cluster) => sum + cluster.pairs.length, 0);
+    console.log(`Exported ${report.clusters.length} clusters (${pairCount} pairs) to ${path}`);
+    alert(`Exported ${report.clusters.length} clusters (${pairCount} pairs) to:\n\n${path}`);
+}
+
+function getReportFilePath(defaultName, format) {
+    return new Promise((resolve) => {
+        const nsIFilePicker = Components.interfaces.nsIFilePicker;
+        const fp = Components.classes["@mozilla.org/filepicker;1"].createInstance(nsIFilePicker);
+        fp.init(window, "Save Duplicate Report", nsIFilePicker.modeSave);
+        fp.defaultString = defaultName;
+        fp.appendFilter(format.toUpperCase(), `*.${format}`);
+        fp.appendFilters(nsIFilePicker.filterAll);
+
+        fp.open((result) => {
+            if (result == nsIFilePicker.returnOK || result == nsIFilePicker.returnReplace) {
+                resolve(fp.file.path);
+            } else {
+                resolve(null);
+            }
+        });
+    });
+}
+
+/**
+ * zotero://select link that opens the item in the right library.
+ */
+function getZoteroSelectLink(item) {
+    const library = Zotero.Libraries.get(item.libraryID);
+    if (library && library.libraryType === 'group') {
+        return `zotero://select/groups/${library.groupID}/items/${item.key}`;
+    }
+    return `zotero://select/library/items/${item.key}`;
+}
+
+/**
+ * Plain data for every cluster and pair - the common source for all export formats.
+ */
+function buildDuplicateReport(clusters) {
+    return {
+        generated: new Date().toISOString(),
+        version: VERSION,
+        clusters: clusters.map((cluster, clusterIndex) => ({
+            cluster: clusterIndex + 1,
+            similarity: cluster.similarity,
+            items: cluster.items.map(normalizedItem => {
+                const original = normalizedItem.originalItem;
+                return {
+                    key: original.key,
+                    libraryID: original.libraryID,
+                    itemType: original.itemType,
+                    title: original.getField('title'),
+                    link: getZoteroSelectLink(original)
+                };
+            }),
+            pairs: cluster.pairs.map(({ item1, item2, similarity, reason, breakdown }) => ({
+                item1Key: item1.originalItem.key,
+                item2Key: item2.originalItem.key,
+                item1Title: item1.originalItem.getField('title'),
+                item2Title: item2.originalItem.getField('title'),
+                item1Link: getZoteroSelectLink(item1.originalItem),
+                item2Link: getZoteroSelectLink(item2.originalItem),
+                similarity,
+                reason,
+                fields: breakdown ? breakdown.fields : []
+            }))
+        }))
+    };
+}
+
+function escapeCSV(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatReportCSV(report) {
+    // One score and contribution column per field that appears in any breakdown
+    const fieldNames = WEIGHT_FIELDS.filter(field =>
+        report.clusters.some(c => c.pairs.some(p => p.fields.some(f => f.field === field))));
+
+    const header = [
+        'cluster', 'item1_key', 'item2_key', 'item1_title', 'item2_title',
+        'similarity', 'reason',
+        ...fieldNames.flatMap(field => [`${field}_score`, `${field}_contribution`]),
+        'item1_link', 'item2_link'
+    ];
+
+    const rows = [header];
+    for (const cluster of report.clusters) {
+        for (const pair of cluster.pairs) {
+            const fieldColumns = fieldNames.flatMap(field => {
+                const f = pair.fields.find(x => x.field === field);
+                return f ? [f.score.toFixed(3), f.contribution.toFixed(3)] : ['', ''];
+            });
+            rows.push([
+                cluster.cluster, pair.item1Key, pair.item2Key, pair.item1Title, pair.item2Title,
+                pair.similarity.toFixed(3), pair.reason,
+                ...fieldColumns,
+                pair.item1Link, pair.item2Link
+            ]);
+        }
     }
 
-    // Ask user for batch handling preference
-    const batchChoice = prompt(
-        `Found ${duplicates.length} potential duplicate pairs.\n\n` +
-        `How would you like to handle them?\n\n` +
-        `1. Review each pair individually\n` +
-        `2. Tag all pairs (add 'duplicate-check' tag)\n` +
-        `3. Show summary only (no changes)\n\n` +
-        `Enter choice (1-3):`,
-        "1"
-    );
+    return rows.map(row => row.map(escapeCSV).join(',')).join('\r\n') + '\r\n';
+}
 
-    if (batchChoice === null) return;
+function escapeHTML(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
 
-    const choice = batchChoice.trim();
+function formatReportHTML(report) {
+    const pairCount = report.clusters.reduce((sum, cluster) => sum + cluster.pairs.length, 0);
+
+    const clusterSections = report.clusters.map(cluster => {
+        const itemRows = cluster.items.map((item, index) =>
+            `<tr><td>${index + 1}</td><td><a href="${escapeHTML(item.link)}">${escapeHTML(item.title || '(no title)')}</a></td>` +
+            `<td>${escapeHTML(item.itemType)}</td><td><code>${escapeHTML(item.key)}</code></td></tr>`).join('\n');
+
+        const pairRows = cluster.pairs.map(pair => {
+            const index1 = cluster.items.findIndex(i => i.key === pair.item1Key) + 1;
+            const index2 = cluster.items.findIndex(i => i.key === pair.item2Key) + 1;
+            const fields = pair.fields
+                .map(f => `${escapeHTML(f.field)} ${(f.score * 100).toFixed(0)}% (+${(f.contribution * 100).toFixed(1)})`)
+                .join(', ');
+            return `<tr><td>${index1} &harr; ${index2}</td><td>${(pair.similarity * 100).toFixed(1)}%</td>` +
+                `<td>${escapeHTML(pair.reason)}</td><td class="fields">${fields}</td></tr>`;
+        }).join('\n');
+
+        return `<section>
+<h2>Cluster ${cluster.cluster} <small>(${cluster.items.length} items, best similarity ${(cluster.similarity * 100).toFixed(1)}%)</small></h2>
+<table>
+<tr><th>#</th><th>Title</th><th>Type</th><th>Key</th></tr>
+${itemRows}
+</table>
+<table>
+<tr><th>Pair</th><th>Similarity</th><th>Reason</th><th>Field scores (contribution)</th></tr>
+${pairRows}
+</table>
+</section>`;
+    }).join('\n');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Zotero Duplicate Report</title>
+<style>
+body { font-family: sans-serif; margin: 2em; }
+table { border-collapse: collapse; margin-bottom: 1em; width: 100%; }
+th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; vertical-align: top; }
+th { background: #f0f0f0; }
+td.fields { font-size: 0.85em; color: #444; }
+section { margin-bottom: 2em; }
+</style>
+</head>
+<body>
+<h1>Zotero Duplicate Report</h1>
+<p>Generated ${escapeHTML(report.generated)} by Duplicate Detection v${escapeHTML(report.version)}: ${report.clusters.length} clusters, ${pairCount} pairs.
+Item titles link into Zotero (<code>zotero://select</code>).</p>
+${clusterSections}
+</body>
+</html>
+`;
+}
 
-    if (choice === '2') {
-        // Batch tag all
-        await batchTagDuplicates(duplicates);
-        return;
+
+// ============================================================================
+// PREPRINT <-> PUBLISHED VERSION LINKING
+// ============================================================================
+
+const PREPRINT_TYPES = ['preprint'];
+const PUBLISHED_TYPES = ['journalarticle', 'conferencepaper'];
+
+/**
+ * Score how likely `published` is the published version of `preprint`.
+ * Title dominates; the published version may appear up to a few years later.
+ */
+function calculateVersionSimilarity(preprint, published) {
+    const titleSim = combinedTitleSimilarity(preprint.title, published.title, true);
+    const creatorSim = jaccardSimilarity(preprint.creators, published.creators);
+
+    let yearSim = 0.5;  // Unknown year on either side - neutral
+    if (preprint.year && published.year) {
+        const gap = parseInt(published.year, 10) - parseInt(preprint.year, 10);
+        yearSim = gap >= 0 && gap <= 3 ? 1.0 : gap === -1 ? 0.5 : 0.0;
     }
 
-    if (choice === '3') {
-        // Summary only
-        showDuplicateSummary(duplicates);
-        return;
+    return (titleSim * 0.6) + (creatorSim * 0.3) + (yearSim * 0.1);
+}
+
+function findPublishedVersions(normalizedItems, threshold) {
+    const preprints = normalizedItems.filter(item => PREPRINT_TYPES.includes(item.itemType));
+    const published = normalizedItems.filter(item => PUBLISHED_TYPES.includes(item.itemType));
+
+    console.log(`Preprints: ${preprints.length}, journal articles/conference papers: ${published.length}`);
+
+    // Only compare items that share a distinctive title word
+    const titleBuckets = bucketBy(published, item => getTitleBlockingTokens(item.title));
+
+    const proposals = [];
+    for (const preprint of preprints) {
+        const relatedKeys = preprint.originalItem.relatedItems || [];
+        const candidates = new Set();
+        for (const token of getTitleBlockingTokens(preprint.title)) {
+            for (const index of titleBuckets.get(token) || []) {
+                candidates.add(index);
+            }
+        }
+
+        let best = null;
+        for (const index of candidates) {
+            const candidate = published[index];
+            if (relatedKeys.includes(candidate.originalItem.key)) continue;  // Already linked
+            if (candidate.originalItem.libraryID !== preprint.originalItem.libraryID) continue;
+
+            const similarity = calculateVersionSimilarity(preprint, candidate);
+            if (similarity >= threshold && (!best || similarity > best.similarity)) {
+                best = { preprint, published: candidate, similarity };
+            }
+        }
+
+        if (best) proposals.push(best);
     }
 
-    // Individual review (default)
-    await reviewDuplicatesIndividually(duplicates);
+    proposals.sort((a, b) => b.similarity - a.similarity);
+    return proposals;
 }
 
-async function batchTagDuplicates(duplicates) {
-    const timestamp = Date.now();
-    const tag = `duplicate-check-${timestamp}`;
-    
-    const taggedItems = new Set();
-    let pairCount = 0;
+/**
+ * Relate the two items and note the published version in the preprint's Extra field.
+ * Nothing is trashed.
+ */
+async function linkPreprintToPublished(preprint, published) {
+    const doi = published.getField('DOI');
+    const note = `Published as: ${doi || published.getField('url') || published.getField('title')}`;
 
-    for (const { item1, item2 } of duplicates) {
-        const original1 = item1.originalItem;
-        const original2 = item2.originalItem;
+    preprint.addRelatedItem(published);
+    published.addRelatedItem(preprint);
+
+    const extra = preprint.getField('extra') || '';
+    if (!extra.split('\n').some(line => line.trim() === note)) {
+        preprint.setField('extra', extra ? `${extra}\n${note}` : note);
+    }
+
+    await preprint.saveTx();
+    await published.saveTx();
+}
+
+async function linkPreprintVersions(items) {
+    const thresholdInput = prompt(
+        `Link preprints to their published versions.\n\n` +
+        `Preprints are compared with journal articles and conference papers by title (60%), ` +
+        `creators (30%) and year (10%, published up to 3 years later).\n\n` +
+        `Enter the similarity threshold (0-1):`,
+        "0.8"
+    );
+    if (thresholdInput === null) return;
+
+    let threshold = parseFloat(thresholdInput);
+    if (isNaN(threshold) || threshold < 0 || threshold > 1) {
+        alert("Invalid threshold. Using default 0.8");
+        threshold = 0.8;
+    }
+
+    const normalizedItems = items.map(item => normalizeItemFields(item));
+    const proposals = findPublishedVersions(normalizedItems, threshold);
+
+    if (proposals.length === 0) {
+        alert("No unlinked preprint/published version pairs found.");
+        return;
+    }
+
+    let linked = 0;
+    let skipped = 0;
+    let linkAll = false;
+
+    for (let i = 0; i < proposals.length; i++) {
+        const { preprint, published, similarity } = proposals[i];
+
+        if (!linkAll) {
+            const action = prompt(
+                `Preprint ${i + 1}/${proposals.length} - similarity ${(similarity * 100).toFixed(1)}%\n\n` +
+                `--- PREPRINT ---\n${buildItemInfo(preprint)}\n\n` +
+                `--- PUBLISHED VERSION ---\n${buildItemInfo(published)}\n\n` +
+                `Actions:\n` +
+                `1. Link as related items and note "Published as" in the preprint's Extra\n` +
+                `2. Skip\n` +
+                `3. Link this and all remaining pairs\n` +
+                `4. Stop\n\n` +
+                `Enter choice (1-4):`,
+                "1"
+            );
 
-        if (!taggedItems.has(original1.id)) {
-            original1.addTag(tag);
-            await original1.saveTx();
-            taggedItems.add(original1.id);
+            if (action === null || action.trim() === '4') {
+                console.log("User stopped linking.");
+                break;
+            }
+
+            const choice = action.trim();
+            if (choice === '3') {
+                linkAll = true;
+            } else if (choice !== '1') {
+                skipped++;
+                console.log(`Skipped: "${preprint.title}"`);
+                continue;
+            }
         }
 
-        if (!taggedItems.has(original2.id)) {
-            original2.addTag(tag);
-            await original2.saveTx();
-            taggedItems.add(original2.id);
+        try {
+            await linkPreprintToPublished(preprint.originalItem, published.originalItem);
+            linked++;
+            console.log(`Linked preprint "${preprint.title}" to published version "${published.title}"`);
+        } catch (error) {
+            console.error(`Error linking "${preprint.title}": ${error.message}`);
         }
+    }
+
+    const summary = `Preprint linking complete!\n\n` +
+        `Pairs proposed: ${proposals.length}\n` +
+        `Pairs linked: ${linked}\n` +
+        `Pairs skipped: ${skipped}`;
+
+    console.log(summary);
+    alert(summary);
+}
+
+
+// ============================================================================
+// CROSS-LIBRARY DETECTION
+// ============================================================================
+
+/**
+ * Let the user pick two or more libraries and return their top-level items.
+ */
+async function getCrossLibraryItems() {
+    const libraries = Zotero.Libraries.getAll()
+        .filter(library => library.libraryType === 'user' || library.libraryType === 'group');
+
+    if (libraries.length < 2) {
+        alert("Cross-library detection needs at least two libraries (My Library and a group library).");
+        return null;
+    }
+
+    const libraryList = libraries
+        .map((library, index) => `${index + 1}. ${library.name}${library.editable ? '' : ' (read-only)'}`)
+        .join('\n');
+
+    const input = prompt(
+        `Compare items across libraries.\n\n${libraryList}\n\n` +
+        `Enter the numbers of two or more libraries (comma-separated, e.g., "1,2"):`,
+        libraries.map((_, index) => index + 1).join(',')
+    );
+    if (input === null) return null;
 
-        pairCount++;
+    const chosen = [...new Set(input.split(',')
+        .map(part => parseInt(part.trim(), 10) - 1)
+        .filter(index => index >= 0 && index < libraries.length))]
+        .map(index => libraries[index]);
+
+    if (chosen.length < 2) {
+        alert("Please choose at least two libraries.");
+        return null;
+    }
+
+    let items = [];
+    for (const library of chosen) {
+        const libraryItems = await Zotero.Items.getAll(library.libraryID, true);
+        console.log(`Library "${library.name}": ${libraryItems.length} top-level items`);
+        items = items.concat(libraryItems);
     }
 
-    console.log(`Tagged ${taggedItems.size} items in ${pairCount} duplicate pairs with tag: ${tag}`);
-    alert(`Tagged ${taggedItems.size} items with tag: ${tag}\n\nYou can find all potential duplicates by searching for this tag.`);
+    console.log(`Source: Cross-library (${chosen.map(l => l.name).join(', ')}) (${items.length})`);
+    return items;
 }
 
-function showDuplicateSummary(duplicates) {
-    console.log("\n=== DUPLICATE SUMMARY ===\n");
-    
-    for (let i = 0; i < Math.min(duplicates.length, 50); i++) {
-        const { item1, item2, similarity, reason } = duplicates[i];
-        console.log(`Pair ${i + 1}: ${reason}`);
-        console.log(`  Item 1: ${item1.title}`);
-        console.log(`  Item 2: ${item2.title}`);
-        console.log('');
+async function handleCrossLibraryDuplicates(duplicates) {
+    if (duplicates.length === 0) {
+        console.log("No cross-library duplicates found.");
+        alert("No cross-library duplicates found.");
+        return;
+    }
+
+    // Items can't be merged across libraries, so each pair is reviewed on its own
+    const pairClusters = duplicates.map(pair => ({
+        items: [pair.item1, pair.item2],
+        pairs: [pair],
+        similarity: pair.similarity
+    }));
+
+    const batchChoice = prompt(
+        `Found ${duplicates.length} cross-library duplicate pairs.\n\n` +
+        `Items in different libraries cannot be merged. How would you like to handle them?\n\n` +
+        `1. Review each pair individually (tag, link or copy notes)\n` +
+        `2. Tag all pairs (one 'cross-library-duplicate' tag per pair)\n` +
+        `3. Show summary only (no changes)\n` +
+        `4. Export report to a file (CSV, JSON or HTML)\n\n` +
+        `Enter choice (1-4):`,
+        "1"
+    );
+
+    if (batchChoice === null) return;
+
+    switch (batchChoice.trim()) {
+        case '2':
+            await batchTagCrossLibraryDuplicates(duplicates);
+            break;
+        case '3':
+            showDuplicateSummary(pairClusters);
+            break;
+        case '4':
+            await exportDuplicateReport(pairClusters);
+            break;
+        default:
+            await reviewCrossLibraryDuplicates(duplicates);
+    }
+}
+
+function isLibraryEditable(item) {
+    return Zotero.Libraries.get(item.libraryID).editable;
+}
+
+async function addTagIfEditable(item, tag) {
+    if (!isLibraryEditable(item)) {
+        console.log(`Not tagging "${item.getField('title')}": library is read-only`);
+        return false;
+    }
+    item.addTag(tag);
+    await item.saveTx();
+    return true;
+}
+
+async function batchTagCrossLibraryDuplicates(duplicates) {
+    const timestamp = Date.now();
+    let taggedCount = 0;
+
+    for (let i = 0; i < duplicates.length; i++) {
+        const tag = `cross-library-duplicate-${timestamp}-${i + 1}`;
+        for (const normalizedItem of [duplicates[i].item1, duplicates[i].item2]) {
+            if (await addTagIfEditable(normalizedItem.originalItem, tag)) taggedCount++;
+        }
     }
 
-    if (duplicates.length > 50) {
-        console.log(`... and ${duplicates.length - 50} more pairs`);
+    console.log(`Tagged ${taggedCount} items in ${duplicates.length} cross-library pairs`);
+    alert(`Tagged ${taggedCount} items in ${duplicates.length} pairs.\n\nEach pair has its own tag: cross-library-duplicate-${timestamp}-<pair number>\n\nItems in read-only libraries were not tagged.`);
+}
+
+/**
+ * Add a child note to `item` linking to its copy in another library.
+ */
+async function addCrossLibraryLinkNote(item, otherItem) {
+    const link = getZoteroSelectLink(otherItem);
+    const libraryName = Zotero.Libraries.getName(otherItem.libraryID);
+
+    // Don't add the same link twice
+    const existingNotes = Zotero.Items.get(item.getNotes());
+    if (existingNotes.some(note => note.getNote().includes(link))) return false;
+
+    const note = new Zotero.Item('note');
+    note.libraryID = item.libraryID;
+    note.parentID = item.id;
+    note.setNote(`<p>Also saved in <b>${escapeHTML(libraryName)}</b>: <a href="${escapeHTML(link)}">${escapeHTML(otherItem.getField('title'))}</a></p>`);
+    await note.saveTx();
+    return true;
+}
+
+/**
+ * Copy the child notes of `source` to `target`, skipping notes `target` already has.
+ */
+async function copyChildNotes(source, target) {
+    const targetContents = new Set(Zotero.Items.get(target.getNotes()).map(note => note.getNote()));
+    let copied = 0;
+
+    for (const sourceNote of Zotero.Items.get(source.getNotes())) {
+        const content = sourceNote.getNote();
+        if (targetContents.has(content)) continue;
+
+        const note = new Zotero.Item('note');
+        note.libraryID = target.libraryID;
+        note.parentID = target.id;
+        note.setNote(content);
+        await note.saveTx();
+        copied++;
     }
 
-    alert(`Found ${duplicates.length} duplicate pairs.\nCheck the console for the full list.`);
+    return copied;
 }
 
-async function reviewDuplicatesIndividually(duplicates) {
+async function reviewCrossLibraryDuplicates(duplicates) {
     const timestamp = Date.now();
     let processed = 0;
     let tagged = 0;
-    let trashed = 0;
+    let linked = 0;
+    let notesCopied = 0;
     let skipped = 0;
 
-    for (const { item1, item2, similarity, reason } of duplicates) {
+    for (const { item1, item2, reason, breakdown } of duplicates) {
         processed++;
-        
+
         const original1 = item1.originalItem;
         const original2 = item2.originalItem;
-
-        // Build informative prompt
-        const info1 = buildItemInfo(item1);
-        const info2 = buildItemInfo(item2);
+        const library1 = Zotero.Libraries.getName(original1.libraryID);
+        const library2 = Zotero.Libraries.getName(original2.libraryID);
+        const readOnly = (item) => isLibraryEditable(item) ? '' : ' (read-only)';
 
         const action = prompt(
-            `Duplicate ${processed}/${duplicates.length}\n` +
-            `${reason}\n\n` +
-            `--- ITEM 1 ---\n${info1}\n\n` +
-            `--- ITEM 2 ---\n${info2}\n\n` +
+            `Cross-library pair ${processed}/${duplicates.length}\n` +
+            `${reason}\n` +
+            `${formatSimilarityBreakdownShort(breakdown)}\n\n` +
+            `--- ITEM 1: ${library1}${readOnly(original1)} ---\n${buildItemInfo(item1)}\n` +
+            `Notes: ${original1.getNotes().length}\n\n` +
+            `--- ITEM 2: ${library2}${readOnly(original2)} ---\n${buildItemInfo(item2)}\n` +
+            `Notes: ${original2.getNotes().length}\n\n` +
             `Actions:\n` +
             `1. Tag both items\n` +
-            `2. Trash Item 2 (keep Item 1)\n` +
-            `3. Trash Item 1 (keep Item 2)\n` +
-            `4. Skip this pair\n` +
-            `5. Stop reviewing\n\n` +
-            `Enter choice (1-5):`,
-            "4"
+            `2. Link both items (add a note pointing to the other copy)\n` +
+            `3. Copy notes from Item 1 to Item 2\n` +
+            `4. Copy notes from Item 2 to Item 1\n` +
+            `5. Skip this pair\n` +
+            `6. Stop reviewing\n\n` +
+            `Enter choice (1-6):`,
+            "5"
         );
 
-        if (action === null || action.trim() === '5') {
+        if (action === null || action.trim() === '6') {
             console.log("User stopped reviewing.");
             break;
         }
 
-        const choice = action.trim();
-
         try {
-            switch (choice) {
-                case '1':
-                    const tag = `duplicate-pair-${timestamp}`;
-                    original1.addTag(tag);
-                    original2.addTag(tag);
-                    await original1.saveTx();
-                    await original2.saveTx();
-                    tagged += 2;
-                    console.log(`Tagged pair: "${item1.title}" and "${item2.title}"`);
+            switch (action.trim()) {
+                case '1': {
+                    const tag = `cross-library-duplicate-${timestamp}-${processed}`;
+                    if (await addTagIfEditable(original1, tag)) tagged++;
+                    if (await addTagIfEditable(original2, tag)) tagged++;
+                    console.log(`Tagged pair with "${tag}": "${item1.title}"`);
                     break;
+                }
 
                 case '2':
-                    await Zotero.Items.trashTx(original2.id);
-                    trashed++;
-                    console.log(`Trashed Item 2: "${item2.title}"`);
+                    for (const [item, other] of [[original1, original2], [original2, original1]]) {
+                        if (!isLibraryEditable(item)) continue;
+                        if (await addCrossLibraryLinkNote(item, other)) linked++;
+                    }
+                    console.log(`Linked pair: "${item1.title}" (${library1}) and "${item2.title}" (${library2})`);
                     break;
 
                 case '3':
-                    await Zotero.Items.trashTx(original1.id);
-                    trashed++;
-                    console.log(`Trashed Item 1: "${item1.title}"`);
+                case '4': {
+                    const [source, target] = action.trim() === '3' ? [original1, original2] : [original2, original1];
+                    if (!isLibraryEditable(target)) {
+                        alert(`"${Zotero.Libraries.getName(target.libraryID)}" is read-only. Notes cannot be copied there.`);
+                        skipped++;
+                        break;
+                    }
+                    const copied = await copyChildNotes(source, target);
+                    notesCopied += copied;
+                    console.log(`Copied ${copied} note(s) to "${target.getField('title')}" in ${Zotero.Libraries.getName(target.libraryID)}`);
                     break;
+                }
 
                 default:
                     skipped++;
                     console.log(`Skipped pair: "${item1.title}" and "${item2.title}"`);
             }
         } catch (error) {
-            console.error(`Error processing duplicate: ${error.message}`);
+            console.error(`Error processing cross-library pair: ${error.message}`);
         }
     }
 
-    const summary = `Review complete!\n\n` +
+    const summary = `Cross-library review complete!\n\n` +
         `Pairs reviewed: ${processed}\n` +
         `Items tagged: ${tagged}\n` +
-        `Items trashed: ${trashed}\n` +
+        `Link notes added: ${linked}\n` +
+        `Notes copied: ${notesCopied}\n` +
         `Pairs skipped: ${skipped}`;
-    
+
     console.log(summary);
     alert(summary);
 }
 
+
+// ============================================================================
+// INCREMENTAL CHECKING OF NEW ITEMS
+// ============================================================================
+
+const LAST_RUN_FILE = 'duplicate-last-run.json';
+
+const NEW_ITEM_DUPLICATE_TAG = 'possible-duplicate';
+
+function getLastRunFilePath() {
+    return PathUtils.join(Zotero.DataDirectory.dir, LAST_RUN_FILE);
+}
+
+/**
+ * Load the last-run timestamps, stored per library ID as ISO date strings.
+ */
+async function loadLastRuns() {
+    const path = getLastRunFilePath();
+
+    try {
+        if (await IOUtils.exists(path)) {
+            const data = JSON.parse(await Zotero.File.getContentsAsync(path));
+            if (data.libraries && typeof data.libraries === 'object') {
+                return data.libraries;
+            }
+        }
+    } catch (error) {
+        console.error(`Could not read the last-run timestamps from ${path}: ${error.message}`);
+    }
+
+    return {};
+}
+
+async function saveLastRun(libraryID, date) {
+    const libraries = await loadLastRuns();
+    libraries[libraryID] = date.toISOString();
+    const data = { version: 1, libraries };
+    await Zotero.File.putContentsAsync(getLastRunFilePath(), JSON.stringify(data, null, 2));
+    console.log(`Last run for library ${libraryID} recorded: ${libraries[libraryID]}`);
+}
+
+/**
+ * Ask which items count as new - those added since the last run, or the selected
+ * (just imported) items - and return them with the library items that share a
+ * blocking key with them (see findIncrementalCandidates).
+ */
+async function getIncrementalItems() {
+    const zoteroPane = Zotero.getActiveZoteroPane();
+    const libraryID = zoteroPane.getSelectedLibraryID();
+
+    const lastRuns = await loadLastRuns();
+    const lastRun = lastRuns[libraryID] ? new Date(lastRuns[libraryID]) : null;
+
+    const input = prompt(
+        `Check new items against ${Zotero.Libraries.getName(libraryID)}:\n\n` +
+        `1. Items added since the last run (${lastRun ? lastRun.toLocaleString() : 'never'})\n` +
+        `2. Selected items (e.g., just imported)\n\n` +
+        `Enter choice (1-2):`,
+        "1"
+    );
+    if (input === null) return null;
+
+    const useSelection = input.trim() === '2';
+    let newItems;
+
+    if (useSelection) {
+        newItems = zoteroPane.getSelectedItems().filter(item => item.isRegularItem());
+        if (!newItems.length) {
+            alert("No regular items selected.");
+            return null;
+        }
+    } else {
+        let since = lastRun;
+        if (!since) {
+            const daysInput = prompt("No previous run is recorded for this library.\n\nCheck items added in the last how many days?", "7");
+            if (daysInput === null) return null;
+
+            const days = parseFloat(daysInput.trim());
+            if (isNaN(days) || days <= 0) {
+                alert("Invalid number of days.");
+                return null;
+            }
+            since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+        }
+
+        // The search compares whole days, so search from the day before and compare exactly here
+        const search = new Zotero.Search();
+        search.libraryID = libraryID;
+        search.addCondition('dateAdded', 'isAfter', Zotero.Date.dateToSQL(new Date(since.getTime() - 24 * 60 * 60 * 1000), true).substr(0, 10));
+        newItems = (await Zotero.Items.getAsync(await search.search()))
+            .filter(item => item.isRegularItem() && Zotero.Date.sqlToDate(item.dateAdded, true) > since);
+        if (!newItems.length) {
+            alert(`No items were added since ${since.toLocaleString()}.`);
+            return null;
+        }
+    }
+
+    console.log(`New items: ${newItems.length} (${useSelection ? 'selected' : 'added since last run'})`);
+
+    const { items, candidates } = await findIncrementalCandidates(newItems, libraryID);
+
+    return {
+        items,
+        libraryID,
+        newItemIDs: new Set(newItems.map(item => item.id)),
+        candidates,
+        // Only a "since the last run" check moves the timestamp forward
+        updateLastRun: !useSelection
+    };
+}
+
+/**
+ * Tag every new item that is part of a detected pair. Returns the number of items tagged.
+ */
+async function flagNewItemDuplicates(duplicates, newItemIDs) {
+    const flagged = new Set();
+
+    for (const pair of duplicates) {
+        for (const normalizedItem of [pair.item1, pair.item2]) {
+            const original = normalizedItem.originalItem;
+            if (!newItemIDs.has(original.id) || flagged.has(original.id)) continue;
+
+            original.addTag(NEW_ITEM_DUPLICATE_TAG);
+            await original.saveTx();
+            flagged.add(original.id);
+        }
+    }
+
+    return flagged.size;
+}
+
+
+// ============================================================================
+// MERGING
+// ============================================================================
+
+/**
+ * Merge `others` into `master` using Zotero's own merge path.
+ * Zotero.Items.merge moves child notes/attachments, combines tags, collections
+ * and related items, adds dc:replaces relations and trashes the merged items.
+ * `otherNumbers` are the Item numbers of `others` in the cluster listing.
+ * Returns false if the user cancelled.
+ */
+async function mergeDuplicateItems(master, others, otherNumbers) {
+    const masterType = Zotero.ItemTypes.getName(master.itemTypeID);
+
+    // Zotero can only merge items of the same type
+    const otherTypes = [...new Set(others
+        .filter(other => other.itemTypeID !== master.itemTypeID)
+        .map(other => Zotero.ItemTypes.getName(other.itemTypeID)))];
+    if (otherTypes.length > 0) {
+        const convert = confirm(
+            `Some items have a different type (${otherTypes.join(', ')}) than the master (${masterType}).\n\n` +
+            `Zotero can only merge items of the same type. Convert them to "${masterType}" ` +
+            `and continue? Fields that are not valid for "${masterType}" cannot be kept.`
+        );
+        if (!convert) return false;
+    }
+
+    // Collect fields before the type conversion, which drops fields of the old type
+    const { conflicts, fillIns } = collectFieldDifferences(master, others, otherNumbers);
+
+    const chosenFields = chooseConflictingFields(conflicts);
+    if (chosenFields === null) return false;
+
+    // Zotero.Items.merge runs its own transaction, so the type conversion is saved first
+    // and undone again if the merge fails
+    const converted = [];
+    for (const other of others) {
+        if (other.itemTypeID !== master.itemTypeID) {
+            converted.push({ item: other, json: other.toJSON() });
+            other.setType(master.itemTypeID);
+            await other.saveTx();
+        }
+    }
+
+    try {
+        await Zotero.Items.merge(master, others);
+    } catch (error) {
+        for (const { item, json } of converted) {
+            item.fromJSON(json);
+            await item.saveTx();
+        }
+        console.log(`Merge failed, restored the type of ${converted.length} converted item(s)`);
+        throw error;
+    }
+
+    // The master's fields are only changed once the merge has succeeded
+    for (const { field, value } of [...fillIns, ...chosenFields]) {
+        master.setField(field, value);
+        console.log(`Merge: set "${field}" on master to "${value}"`);
+    }
+    await master.saveTx();
+    return true;
+}
+
+/**
+ * Compare the non-empty fields of the master with each item being merged.
+ * - fillIns: fields empty on the master that a merged item can supply (first one wins)
+ * - conflicts: fields set on the master and a merged item with different values
+ * Fields of a merged item of another type are compared with the master's field for the
+ * same base field (e.g., "bookTitle" with "publicationTitle"); fields the master's type does
+ * not have are skipped. Each conflict's `source` is the Item number of the merged item it
+ * comes from.
+ */
+function collectFieldDifferences(master, others, otherNumbers) {
+    const conflicts = [];
+    const fillIns = new Map();
+
+    others.forEach((other, otherIndex) => {
+        for (const otherField of other.getUsedFields(true)) {
+            const fieldID = getMasterFieldID(master, other, Zotero.ItemFields.getID(otherField));
+            if (!fieldID) continue;
+            const field = Zotero.ItemFields.getName(fieldID);
+
+            const otherValue = other.getField(otherField);
+            const masterValue = master.getField(fieldID);
+            if (!otherValue || otherValue === masterValue) continue;
+
+            if (!masterValue) {
+                if (!fillIns.has(field)) fillIns.set(field, { field, value: otherValue });
+            } else if (!conflicts.some(c => c.field === field && c.otherValue === otherValue)) {
+                conflicts.push({ field, masterValue, otherValue, source: otherNumbers[otherIndex] });
+            }
+        }
+    });
+
+    return { conflicts, fillIns: [...fillIns.values()] };
+}
+
+/**
+ * The master's field for a field of a merged item: the same field, or the field of the
+ * master's type that is mapped to the same base field. Null if the master's type has neither.
+ */
+function getMasterFieldID(master, other, fieldID) {
+    if (!fieldID) return null;
+    if (Zotero.ItemFields.isValidForType(fieldID, master.itemTypeID)) return fieldID;
+    const baseFieldID = Zotero.ItemFields.getBaseIDFromTypeAndField(other.itemTypeID, fieldID) || fieldID;
+    if (Zotero.ItemFields.isValidForType(baseFieldID, master.itemTypeID)) return baseFieldID;
+    return Zotero.ItemFields.getFieldIDFromTypeAndBase(master.itemTypeID, baseFieldID) || null;
+}
+
+/**
+ * Let the user pick, per conflicting field, whether to keep the master's value
+ * or take a merged item's. Returns the fields to overwrite, or null on cancel.
+ */
+function chooseConflictingFields(conflicts) {
+    if (conflicts.length === 0) return [];
+
+    const truncate = (value) => value.length > 80 ? value.substring(0, 77) + '...' : value;
+    const conflictList = conflicts
+        .map((c, index) =>
+            `${index + 1}. ${c.field}\n` +
+            `   Keep: ${truncate(c.masterValue)}\n` +
+            `   Other (Item ${c.source}): ${truncate(c.otherValue)}`)
+        .join('\n');
+
+    const input = prompt(
+        `The following fields differ between the items:\n\n${conflictList}\n\n` +
+        `Enter the numbers of the values to take from the merged items (comma-separated, e.g., "1,3").\n` +
+        `Leave empty to keep all values of the master item:`,
+        ""
+    );
+
+    if (input === null) return null;
+
+    const chosen = new Map();
+    for (const part of input.split(',').map(s => s.trim()).filter(s => s.length > 0)) {
+        const index = parseInt(part, 10);
+        if (isNaN(index) || index < 1 || index > conflicts.length) {
+            alert(`Ignoring invalid field number: "${part}"`);
+            continue;
+        }
+        const conflict = conflicts[index - 1];
+        // If several values are chosen for the same field, the last one wins
+        chosen.set(conflict.field, { field: conflict.field, value: conflict.otherValue });
+    }
+    return [...chosen.values()];
+}
+
 function buildItemInfo(normalizedItem) {
     const parts = [];
     
@@ -821,6 +3135,18 @@ function buildItemInfo(normalizedItem) {
     if (normalizedItem.DOI) {
         parts.push(`DOI: ${normalizedItem.DOI}`);
     }
+    if (normalizedItem.arXiv) {
+        parts.push(`arXiv: ${normalizedItem.arXiv}`);
+    }
+    if (normalizedItem.PMID) {
+        parts.push(`PMID: ${normalizedItem.PMID}`);
+    }
+    if (normalizedItem.PMCID) {
+        parts.push(`PMCID: ${normalizedItem.PMCID}`);
+    }
+    if (normalizedItem.ISBN) {
+        parts.push(`ISBN: ${normalizedItem.ISBN}`);
+    }
     if (normalizedItem.title) {
         parts.push(`Title: ${normalizedItem.title}`);
     }
@@ -838,4 +3164,7 @@ function buildItemInfo(normalizedItem) {
     }
 
     return parts.join('\n');
-}
\ No newline at end of file
+}
+
+// Started last, so that the constants declared throughout this file are initialized
+main();
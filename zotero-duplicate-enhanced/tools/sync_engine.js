@@ -0,0 +1,79 @@
+/**
+ * Copies the detection engine of duplicate_enhanced.js into actionandtag_duplicate.js.
+ *
+ * The engine is the block of sections from "FIELD NORMALIZATION" to "DUPLICATE CLUSTERING".
+ * In the Actions and Tags script it sits between the "BEGIN GENERATED ENGINE" and
+ * "END GENERATED ENGINE" lines, with console output sent to Zotero.logError and the
+ * dialogs opened on the Zotero window.
+ *
+ * Usage (from the zotero-duplicate-enhanced folder):
+ *   node tools/sync_engine.js           Write the engine into actionandtag_duplicate.js
+ *   node tools/sync_engine.js --check   Exit with status 1 if the copy is out of date
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SOURCE_FILE = path.join(__dirname, '..', 'src', 'duplicate_enhanced.js');
+const TARGET_FILE = path.join(__dirname, '..', 'src', 'actionandtag_duplicate.js');
+
+const FIRST_SECTION = 'FIELD NORMALIZATION';
+const NEXT_SECTION = 'DUPLICATE HANDLING';  // First section after the engine
+
+const BEGIN_MARKER = '// BEGIN GENERATED ENGINE';
+const END_MARKER = '// END GENERATED ENGINE';
+
+const SECTION_RULE = '// ' + '='.repeat(76);
+
+function getSectionStart(source, title) {
+    const index = source.indexOf(`${SECTION_RULE}\n// ${title}\n${SECTION_RULE}\n`);
+    if (index < 0) {
+        throw new Error(`Section "${title}" not found in ${path.basename(SOURCE_FILE)}`);
+    }
+    return index;
+}
+
+function extractEngine(source) {
+    const start = getSectionStart(source, FIRST_SECTION);
+    const end = getSectionStart(source, NEXT_SECTION);
+    return source.slice(start, end).trimEnd() + '\n';
+}
+
+// The Actions and Tags script has no console or global dialogs
+function adaptForActionsAndTags(engine) {
+    return engine
+        .replace(/console\.(log|warn|error)\(/g, 'Zotero.logError(')
+        .replace(/(^|[^.\w])(alert|prompt|confirm)\(/gm, '$1window.$2(');
+}
+
+function buildTarget(target, engine) {
+    const begin = target.indexOf(`${BEGIN_MARKER}\n`);
+    const end = target.indexOf(`${END_MARKER}\n`);
+    if (begin < 0 || end < begin) {
+        throw new Error(`${path.basename(TARGET_FILE)} has no "${BEGIN_MARKER}" ... "${END_MARKER}" block`);
+    }
+    // The marker lines and the comment below the begin marker are kept
+    const header = target.slice(begin, target.indexOf(SECTION_RULE, begin));
+    return target.slice(0, begin) + header + engine + target.slice(end);
+}
+
+function main() {
+    const check = process.argv.includes('--check');
+    const engine = adaptForActionsAndTags(extractEngine(fs.readFileSync(SOURCE_FILE, 'utf8')));
+    const target = fs.readFileSync(TARGET_FILE, 'utf8');
+    const updated = buildTarget(target, engine);
+
+    if (updated === target) {
+        console.log(`${path.basename(TARGET_FILE)} is in sync with ${path.basename(SOURCE_FILE)}.`);
+        return;
+    }
+    if (check) {
+        console.error(`${path.basename(TARGET_FILE)} is out of sync with ${path.basename(SOURCE_FILE)}. Run: node tools/sync_engine.js`);
+        process.exitCode = 1;
+        return;
+    }
+    fs.writeFileSync(TARGET_FILE, updated);
+    console.log(`Updated the engine in ${path.basename(TARGET_FILE)}.`);
+}
+
+main();
@@ -1,6 +1,54 @@
-(async function() {
+async function main() {
     let similarityThreshold = 0.6;
 
+    const mode = getRunMode();
+    if (mode === null) return;
+
+    if (mode === 'undo') {
+        try {
+            await undoJournalRun();
+        } catch (error) {
+            console.error(`Error undoing a run: ${error.message}`);
+            alert(`An error occurred: ${error.message}`);
+        }
+        return;
+    }
+
+    if (mode === 'authority') {
+        try {
+            await normalizeAgainstAuthority();
+        } catch (error) {
+            console.error(`Error normalizing names against the authority file: ${error.message}`);
+            alert(`An error occurred: ${error.message}`);
+        }
+        return;
+    }
+
+    // Only creators of these types are checked and renamed (empty: all creators)
+    const creatorTypes = getCreatorTypeFilter();
+    if (creatorTypes === null) return;
+
+    if (mode === 'nameOrder') {
+        try {
+            const items = await getItemsToEdit();
+            if (!items) {
+                console.log("No items to process.");
+                return;
+            }
+            // The library to compare with is taken from the first item
+            if (!items.length) {
+                alert("There are no items to check.");
+                return;
+            }
+            const issues = await detectNameOrderIssues(items, creatorTypes);
+            await handleNameOrderIssues(issues);
+        } catch (error) {
+            console.error(`Error checking name order: ${error.message}`);
+            alert(`An error occurred: ${error.message}`);
+        }
+        return;
+    }
+
     while (true) {
         const startTime = performance.now();
 
@@ -11,6 +59,10 @@
                 return;
             }
 
+            // Names the authority file already knows are renamed before detection
+            const authority = await loadAuthority();
+            await applyAuthority(items, authority, creatorTypes);
+
             const weights = {
                 lastName: 0.5,
                 firstName: 0.3,
@@ -23,12 +75,12 @@
             console.log(`Using similarity threshold: ${similarityThreshold}`);
             console.log(`Number of items to process: ${items.length}`);
 
-            const potentialDuplicates = await detectPotentialDuplicatesOptimized(items, similarityThreshold, weights);
+            const clusters = await detectPotentialDuplicatesOptimized(items, similarityThreshold, weights, creatorTypes);
 
             const duplicatesDetectedTime = performance.now();
             logTime("Time to detect duplicates", duplicatesDetectedTime - weightsConfirmedTime);
 
-            const action = await handleDetectedDuplicates(potentialDuplicates);
+            const action = await handleDetectedDuplicates(clusters, authority);
 
             if (action === '4') {
                 similarityThreshold = getUserInputThreshold(weights);
@@ -46,7 +98,42 @@
             logTime("Total time", endTime - startTime);
         }
     }
-})();
+}
+
+function getRunMode() {
+    const modeOption = prompt("Enter '1' to detect similar names, '2' to normalize all names in the current library against the name authority file, '3' to find swapped first/last names and single-field names like \"Smith, John\", or '4' to undo a previous run:", "1");
+    if (modeOption === null) return null;
+
+    const sanitizedModeOption = modeOption.trim();
+    if (sanitizedModeOption === '2') return 'authority';
+    if (sanitizedModeOption === '3') return 'nameOrder';
+    if (sanitizedModeOption === '4') return 'undo';
+    return 'detect';
+}
+
+function getCreatorTypeFilter() {
+    const creatorTypeOption = prompt("Enter the creator types to check, separated by commas (e.g., 'editor' or 'author, translator'), or leave empty to check all creators:", "");
+    if (creatorTypeOption === null) return null;
+
+    const knownTypes = Zotero.CreatorTypes.getTypes().map(type => type.name);
+    const creatorTypes = new Set();
+    for (const typeName of creatorTypeOption.split(',').map(name => name.trim()).filter(Boolean)) {
+        const knownType = knownTypes.find(name => name.toLowerCase() === typeName.toLowerCase());
+        if (!knownType) {
+            alert(`Unknown creator type: "${typeName}".\n\nKnown types: ${knownTypes.join(', ')}`);
+            return null;
+        }
+        creatorTypes.add(knownType);
+    }
+
+    console.log(`Creator types: ${creatorTypes.size ? [...creatorTypes].join(', ') : 'all'}`);
+    return creatorTypes;
+}
+
+function matchesCreatorType(creator, creatorTypes) {
+    if (!creatorTypes || creatorTypes.size === 0) return true;
+    return creatorTypes.has(Zotero.CreatorTypes.getName(creator.creatorTypeID));
+}
 
 function logTime(label, time) {
     try {
@@ -79,31 +166,273 @@ function getUserInputThreshold(weights) {
     return threshold;
 }
 
-async function detectPotentialDuplicatesOptimized(items, threshold, weights) {
-    const potentialDuplicates = [];
-    const creatorsList = [];
+// Names are only compared with names sharing a last-name prefix or Soundex code
+const NAME_BLOCKING = {
+    prefixLength: 3
+};
+
+async function detectPotentialDuplicatesOptimized(items, threshold, weights, creatorTypes = null) {
+    // Collapse repeated occurrences of the same name into one entity
+    const entities = buildNameEntities(items, creatorTypes);
+    const candidatePairs = buildCandidateNamePairs(entities);
+    console.log(`Comparing ${entities.length} unique names: ${candidatePairs.length} candidate pairs (all pairs: ${entities.length * (entities.length - 1) / 2})`);
+
+    const similarPairs = [];
+    for (const [i, j] of candidatePairs) {
+        // Compatible forms of the same name (initials, middle names, particles) come first
+        const variant = matchNameVariants(entities[i], entities[j]);
+        if (variant) {
+            similarPairs.push({ index1: i, index2: j, similarity: variant.confidence, kind: 'variant', reason: variant.reason });
+            console.log(`Compatible name variants found:\nName 1: ${entities[i].displayName}\nName 2: ${entities[j].displayName}\nConfidence: ${variant.confidence} (${variant.reason})`);
+            continue;
+        }
+
+        const similarity = calculateCombinedSimilarity(entities[i], entities[j], weights);
+        if (similarity > threshold) {
+            similarPairs.push({ index1: i, index2: j, similarity, kind: 'typo', reason: 'similar spelling' });
+            console.log(`Potential similar names found:\nName 1: ${entities[i].displayName}\nName 2: ${entities[j].displayName}\nSimilarity: ${similarity}`);
+        }
+    }
+
+    const clusters = buildNameClusters(entities, similarPairs);
+    console.log(`Found ${similarPairs.length} similar name pairs in ${clusters.length} clusters`);
+    return clusters;
+}
+
+// One entity per distinct normalized name, with the items it occurs in and how often.
+// With creatorTypes, other creators (e.g., authors when checking editors) are left out.
+function buildNameEntities(items, creatorTypes = null) {
+    const entitiesByName = new Map();
 
     for (const item of items) {
-        const creators = item.getCreators();
-        creators.forEach(creator => {
+        for (const creator of item.getCreators()) {
+            if (!matchesCreatorType(creator, creatorTypes)) continue;
+
             const normalizedCreator = normalizeCreator(creator);
-            creatorsList.push({ item, creator: normalizedCreator });
-        });
+            if (!normalizedCreator.fullName) continue;
+
+            let entity = entitiesByName.get(normalizedCreator.fullName);
+            if (!entity) {
+                entity = {
+                    ...normalizedCreator,
+                    displayName: formatCreatorName(creator),
+                    // Spelling of the first occurrence, offered when choosing a canonical name
+                    spelling: { firstName: creator.firstName || "", lastName: creator.lastName || creator.name || "", fieldMode: creator.fieldMode || 0 },
+                    // Renames only touch creators of these types
+                    creatorTypes,
+                    count: 0,
+                    items: new Set()
+                };
+                entitiesByName.set(normalizedCreator.fullName, entity);
+            }
+            entity.count++;
+            entity.items.add(item);
+        }
     }
 
-    for (let i = 0; i < creatorsList.length; i++) {
-        const { item: item1, creator: creator1 } = creatorsList[i];
-        for (let j = i + 1; j < creatorsList.length; j++) {
-            const { item: item2, creator: creator2 } = creatorsList[j];
-            const similarity = calculateCombinedSimilarity(creator1, creator2, weights);
-            if (similarity > threshold) {
-                potentialDuplicates.push({ item1, creator1, item2, creator2, similarity });
-                console.log(`Potential similar names found:\nItem 1: ${creator1.fullName}\nItem 2: ${creator2.fullName}\nSimilarity: ${similarity}`);
+    return [...entitiesByName.values()];
+}
+
+function formatCreatorName(creator) {
+    if (creator.fieldMode === 1) return (creator.lastName || creator.name || "").trim();
+    return `${creator.firstName || ""} ${creator.lastName || ""}`.trim();
+}
+
+function buildCandidateNamePairs(entities) {
+    const blocks = new Map();
+    entities.forEach((entity, index) => {
+        for (const key of getNameBlockingKeys(entity)) {
+            if (!blocks.has(key)) blocks.set(key, []);
+            blocks.get(key).push(index);
+        }
+    });
+
+    // A pair can share both keys, so keep each one once
+    const seen = new Set();
+    const pairs = [];
+    for (const indices of blocks.values()) {
+        for (let a = 0; a < indices.length; a++) {
+            for (let b = a + 1; b < indices.length; b++) {
+                const pairKey = `${indices[a]}|${indices[b]}`;
+                if (seen.has(pairKey)) continue;
+                seen.add(pairKey);
+                pairs.push([indices[a], indices[b]]);
             }
         }
     }
+    return pairs;
+}
+
+function getNameBlockingKeys(entity) {
+    const lastName = parseName(entity).surname;
+    const keys = [`prefix:${lastName.slice(0, NAME_BLOCKING.prefixLength)}`];
+    const phoneticKey = soundex(lastName);
+    if (phoneticKey) keys.push(`soundex:${phoneticKey}`);
+    return keys;
+}
 
-    return potentialDuplicates;
+// Only accents on Latin, Greek and Cyrillic letters are removed; marks in other scripts
+// are part of the letter (Japanese dakuten, Indic vowel signs) and are recomposed by NFC
+function foldDiacritics(text) {
+    return text.normalize('NFKD')
+        .replace(/([\p{Script=Latin}\p{Script=Greek}\p{Script=Cyrillic}])\p{M}+/gu, '$1')
+        .normalize('NFC');
+}
+
+// American Soundex; names without Latin letters have no code
+function soundex(name) {
+    const letters = name.toLowerCase().replace(/[^a-z]/g, '');
+    if (!letters) return '';
+
+    const codes = {
+        b: 1, f: 1, p: 1, v: 1,
+        c: 2, g: 2, j: 2, k: 2, q: 2, s: 2, x: 2, z: 2,
+        d: 3, t: 3, l: 4, m: 5, n: 5, r: 6
+    };
+
+    let code = letters[0].toUpperCase();
+    let previous = codes[letters[0]];
+    for (let i = 1; i < letters.length && code.length < 4; i++) {
+        const letter = letters[i];
+        const digit = codes[letter];
+        if (digit && digit !== previous) code += digit;
+        // H and W do not separate letters with the same code
+        if (letter !== 'h' && letter !== 'w') previous = digit;
+    }
+    return code.padEnd(4, '0');
+}
+
+// Union-find over similar pairs; each cluster holds the variants of one name
+function buildNameClusters(entities, similarPairs) {
+    const parent = entities.map((_, index) => index);
+    const find = (index) => {
+        while (parent[index] !== index) {
+            parent[index] = parent[parent[index]];
+            index = parent[index];
+        }
+        return index;
+    };
+
+    for (const { index1, index2 } of similarPairs) {
+        parent[find(index1)] = find(index2);
+    }
+
+    const clustersByRoot = new Map();
+    for (const { index1, index2, similarity, kind, reason } of similarPairs) {
+        const root = find(index1);
+        if (!clustersByRoot.has(root)) clustersByRoot.set(root, { indices: new Set(), pairs: [] });
+        const cluster = clustersByRoot.get(root);
+        cluster.indices.add(index1);
+        cluster.indices.add(index2);
+        cluster.pairs.push({ entity1: entities[index1], entity2: entities[index2], similarity, kind, reason });
+    }
+
+    return [...clustersByRoot.values()]
+        .map(cluster => ({
+            entities: [...cluster.indices].map(index => entities[index]).sort((a, b) => b.count - a.count),
+            pairs: cluster.pairs
+        }))
+        .sort((a, b) => b.entities.length - a.entities.length);
+}
+
+function formatNameCluster(cluster) {
+    return cluster.entities.map(entity => `${entity.displayName} (${entity.count})`).join(' | ');
+}
+
+function formatNameClusterDetails(cluster) {
+    const pairs = cluster.pairs.map(pair => {
+        const kind = pair.kind === 'variant' ? `compatible variant (${pair.reason})` : pair.reason;
+        return `  ${pair.entity1.displayName} ~ ${pair.entity2.displayName}: ${kind}, ${(pair.similarity * 100).toFixed(0)}%`;
+    });
+    return [formatNameCluster(cluster), ...pairs].join('\n');
+}
+
+const NAME_PARTICLES = new Set(['da', 'de', 'del', 'della', 'den', 'der', 'di', 'dos', 'du', 'la', 'le', 'ten', 'ter', 'van', 'von', 'zu']);
+
+// Given-name tokens (initials split, "J.-P." = j, p) and the surname without particles
+function parseName(entity) {
+    const given = foldDiacritics(entity.firstName)
+        .split(/[\s.\-]+/)
+        .filter(Boolean)
+        .flatMap(splitInitials);
+    const surnameTokens = foldDiacritics(entity.lastName)
+        .split(/[\s\-]+/)
+        .filter(Boolean);
+
+    // Particles can be stored with either part ("Ludwig van" + "Beethoven")
+    const particles = [];
+    while (given.length > 1 && NAME_PARTICLES.has(given[given.length - 1])) {
+        particles.unshift(given.pop());
+    }
+    while (surnameTokens.length > 1 && NAME_PARTICLES.has(surnameTokens[0])) {
+        particles.push(surnameTokens.shift());
+    }
+
+    return {
+        given,
+        surname: surnameTokens.join('').replace(/[^\p{L}\p{N}]/gu, ''),
+        particles: particles.join(' ')
+    };
+}
+
+// Initials written together without periods ("JR", "JP")
+function splitInitials(token) {
+    return /^[b-df-hj-np-tv-xz]{2,3}$/.test(token) ? token.split('') : [token];
+}
+
+function givenNamesMatch(name1, name2) {
+    return name1 === name2 ||
+        (name1.length === 1 && name2.startsWith(name1)) ||
+        (name2.length === 1 && name1.startsWith(name2));
+}
+
+// Align the shorter list of given names with the longer one; the first given name
+// has to match, later (middle) names may be left out
+function matchGivenNames(given1, given2) {
+    const [shorter, longer] = given1.length <= given2.length ? [given1, given2] : [given2, given1];
+    if (shorter.length === 0 || !givenNamesMatch(shorter[0], longer[0])) return null;
+
+    let initials = shorter[0] !== longer[0] ? 1 : 0;
+    let j = 1;
+    for (let i = 1; i < shorter.length; i++) {
+        while (j < longer.length && !givenNamesMatch(shorter[i], longer[j])) j++;
+        if (j === longer.length) return null;
+        if (shorter[i] !== longer[j]) initials++;
+        j++;
+    }
+
+    return { initials, omitted: longer.length - shorter.length };
+}
+
+// Same person written differently, e.g. "J. R. Smith" and "John Robert Smith".
+// Returns null when the names are not compatible.
+function matchNameVariants(entity1, entity2) {
+    const name1 = parseName(entity1);
+    const name2 = parseName(entity2);
+    if (!name1.surname || name1.surname !== name2.surname) return null;
+
+    const given = matchGivenNames(name1.given, name2.given);
+    if (!given) return null;
+
+    const reasons = [];
+    let confidence = 1;
+    if (given.initials > 0) {
+        reasons.push('initials');
+        confidence -= 0.05 * given.initials;
+    }
+    if (given.omitted > 0) {
+        reasons.push('middle name omitted');
+        confidence -= 0.1 * given.omitted;
+    }
+    if (name1.particles !== name2.particles) {
+        reasons.push('particle');
+        confidence -= 0.05;
+    }
+    if (reasons.length === 0) {
+        reasons.push('punctuation, hyphens or accents');
+    }
+
+    return { confidence: Math.max(0.5, Number(confidence.toFixed(2))), reason: reasons.join(', ') };
 }
 
 function normalizeCreator(creator) {
@@ -152,37 +481,27 @@ function levenshteinSimilarity(a, b) {
     return (maxLength - distance) / maxLength;
 }
 
-async function handleDetectedDuplicates(duplicates) {
-    if (duplicates.length === 0) {
+async function handleDetectedDuplicates(clusters, authority) {
+    if (clusters.length === 0) {
         console.log("No similar names found.");
         return;
     }
 
-    const duplicatePairs = duplicates.map(({ item1, creator1, item2, creator2 }) => ({ item1, creator1, item2, creator2 }));
+    const similarNames = clusters.map(formatNameCluster);
+    const similarNameDetails = clusters.map(formatNameClusterDetails);
     let action;
     do {
-        const similarNames = [...new Set(duplicatePairs.flatMap(pair => [pair.creator1.fullName, pair.creator2.fullName]))];
         const sampleNames = similarNames.slice(0, 3).join('\n');
-        action = prompt(`Detected ${duplicates.length} similar name pairs. Here are some examples:\n${sampleNames}\nChoose an action for all:\n1. Replace names with a new name\n2. Ignore all\n3. Show all similar names\n4. Adjust similarity threshold\n\n(Press Cancel to skip)`);
+        action = prompt(`Detected ${clusters.length} groups of similar names (occurrences in brackets). Here are some examples:\n${sampleNames}\nChoose an action:\n1. Review each group and choose its name\n2. Ignore all\n3. Show all similar names\n4. Adjust similarity threshold\n\n(Press Cancel to skip)`);
 
         const sanitizedAction = action ? action.trim().toLowerCase() : null;
 
         if (sanitizedAction === '1') {
-            const newName = prompt(`Enter the new name to replace all similar names. The first part will be the first name, and the last part will be the last name:`, "");
-            if (newName) {
-                const nameParts = newName.trim().split(/\s+/);
-                const firstName = nameParts.slice(0, -1).join(' ');
-                const lastName = nameParts.slice(-1).join(' ');
-
-                for (const pair of duplicatePairs) {
-                    await updateCreatorNames(pair.item1, pair.creator1, firstName, lastName);
-                    await updateCreatorNames(pair.item2, pair.creator2, firstName, lastName);
-                }
-            }
+            await reviewNameClusters(clusters, authority);
         } else if (sanitizedAction === '2') {
             console.log("Ignored all detected similar names.");
         } else if (sanitizedAction === '3') {
-            const allSimilarNames = similarNames.join('\n');
+            const allSimilarNames = similarNameDetails.join('\n');
             alert(`All similar names:\n${allSimilarNames}`);
         } else if (sanitizedAction === '4') {
             return '4'; // Return to the main loop to adjust the similarity threshold
@@ -193,12 +512,103 @@ async function handleDetectedDuplicates(duplicates) {
     return action;
 }
 
-async function updateCreatorNames(item, creator, firstName, lastName) {
+// Step through the clusters; each one gets its own canonical name
+async function reviewNameClusters(clusters, authority) {
+    let renamedCount = 0;
+    let updatedItems = 0;
+    const journalRun = startJournalRun("Rename similar names");
+
+    for (let i = 0; i < clusters.length; i++) {
+        const cluster = clusters[i];
+        const variants = cluster.entities.map((entity, index) =>
+            `${index + 1}. ${entity.displayName} (${entity.count} occurrences)${formatAuthorityMark(entity, authority)}\n    e.g. ${getSampleTitles(entity).join('; ')}`
+        ).join('\n');
+
+        const choice = prompt(`Group ${i + 1} of ${clusters.length}:\n\n${variants}\n\nEnter the number of the spelling to use for this group, or type a new name ("First Last" or "Last, First").\nLeave empty to skip this group, or press Cancel to stop:`, "1");
+        if (choice === null) break;
+
+        const sanitizedChoice = choice.trim();
+        if (!sanitizedChoice) continue;
+
+        let canonical = null;
+        if (/^\d+$/.test(sanitizedChoice)) {
+            canonical = cluster.entities[parseInt(sanitizedChoice, 10) - 1];
+            if (!canonical) {
+                alert(`There is no spelling ${sanitizedChoice} in this group. Skipping it.`);
+                continue;
+            }
+        }
+        const { firstName, lastName } = canonical ? canonical.spelling : parseNewName(sanitizedChoice);
+        const canonicalName = `${firstName} ${lastName}`.trim();
+
+        // A group can link different people through a shared initial, so let the user leave some out
+        const otherNumbers = cluster.entities
+            .map((entity, entityIndex) => entity === canonical ? null : entityIndex + 1)
+            .filter(number => number !== null);
+        const selection = prompt(`Rename which spellings to "${canonicalName}"? (numbers, comma-separated)`, otherNumbers.join(','));
+        if (selection === null) continue;
+
+        const selected = selection.split(',')
+            .map(number => cluster.entities[parseInt(number.trim(), 10) - 1])
+            .filter(entity => entity && entity !== canonical);
+
+        for (const entity of selected) {
+            for (const item of entity.items) {
+                await updateCreatorNames(item, entity, firstName, lastName, false, journalRun);
+                updatedItems++;
+            }
+            renamedCount++;
+            console.log(`Renamed "${entity.displayName}" to "${canonicalName}" in ${entity.items.size} items`);
+        }
+
+        if (selected.length > 0) {
+            const existing = authority.byName.get(getNameKey(canonicalName));
+            const orcid = (existing && getAuthorityNameKey(existing) === getNameKey(canonicalName) && existing.orcid) || promptOrcid(canonicalName);
+            recordAuthorityDecision(authority, firstName, lastName, selected.map(entity => entity.displayName), orcid);
+        }
+    }
+
+    if (renamedCount === 0) {
+        alert("No names were renamed.");
+        return;
+    }
+
+    await saveJournalRun(journalRun);
+    await saveAuthority(authority);
+    console.log(`Saved ${authority.entries.length} names to ${getAuthorityFilePath()}`);
+    alert(`Renamed ${renamedCount} name variants (${updatedItems} item updates).\n\nYour choices were added to the name authority file and will be applied automatically next time.`);
+}
+
+function getSampleTitles(entity, count = 2) {
+    return [...entity.items].slice(0, count).map(item => {
+        const title = item.getField('title') || '(untitled)';
+        return title.length > 60 ? `${title.slice(0, 57)}...` : title;
+    });
+}
+
+// "Last, First" or "First Last" - initials and middle names stay with the first name
+function parseNewName(name) {
+    if (name.includes(',')) {
+        const [lastName, ...rest] = name.split(',');
+        return { firstName: rest.join(',').trim(), lastName: lastName.trim() };
+    }
+    const nameParts = name.trim().split(/\s+/);
+    return { firstName: nameParts.slice(0, -1).join(' '), lastName: nameParts.slice(-1).join(' ') };
+}
+
+// splitSingleField turns a single-field creator into separate first and last names;
+// with a journal run, the change is recorded so it can be undone
+async function updateCreatorNames(item, creator, firstName, lastName, splitSingleField = false, journalRun = null) {
     try {
+        const before = captureItemState(item);
         const creators = item.getCreators();
         const updatedCreators = creators.map(c => {
-            if (normalizeCreator(c).fullName === creator.fullName) {
-                if (c.fieldMode === 1) {
+            if (normalizeCreator(c).fullName === creator.fullName && matchesCreatorType(c, creator.creatorTypes)) {
+                if (c.fieldMode === 1 && splitSingleField) {
+                    c.fieldMode = 0;
+                    c.firstName = firstName;
+                    c.lastName = lastName;
+                } else if (c.fieldMode === 1) {
                     c.firstName = "";
                     c.lastName = `${firstName} ${lastName}`.trim();
                 } else {
@@ -212,11 +622,195 @@ async function updateCreatorNames(item, creator, firstName, lastName) {
 
         item.setCreators(updatedCreators);
         await item.saveTx();
+        if (journalRun) recordJournalChange(journalRun, item, before);
     } catch (error) {
         console.error(`Failed to update creators for item ${item.id}: ${error.message}`);
     }
 }
 
+// Change journal: the creators of each renamed item before and after a run, so renames can be
+// undone. change-journal.json also holds the runs of the other editing scripts, which are not
+// listed here.
+const JOURNAL_FILE = 'change-journal.json';
+const JOURNAL_VERSION = 1;
+const JOURNAL_MAX_RUNS = 50;
+const JOURNAL_SCRIPT = "Similar Names";
+
+function getJournalFilePath() {
+    return PathUtils.join(Zotero.DataDirectory.dir, JOURNAL_FILE);
+}
+
+// Returns null if the journal cannot be read or has a format this script does not know,
+// so that it is never overwritten
+async function loadJournal() {
+    const path = getJournalFilePath();
+    try {
+        if (!(await IOUtils.exists(path))) return { version: JOURNAL_VERSION, runs: [] };
+        const journal = JSON.parse(await Zotero.File.getContentsAsync(path));
+        if (journal.version !== JOURNAL_VERSION || !Array.isArray(journal.runs)) {
+            console.error(`The change journal ${path} has format version ${journal.version}; this script reads version ${JOURNAL_VERSION}`);
+            return null;
+        }
+        return journal;
+    } catch (error) {
+        console.error(`Could not read the change journal ${path}: ${error.message}`);
+        return null;
+    }
+}
+
+async function saveJournal(journal) {
+    await Zotero.File.putContentsAsync(getJournalFilePath(), JSON.stringify(journal, null, 2));
+}
+
+// Run IDs are never reused, so an undo run keeps pointing at the run it undid
+function addJournalRun(journal, run) {
+    run.id = Math.max(journal.lastRunID || 0, ...journal.runs.map(r => r.id)) + 1;
+    journal.lastRunID = run.id;
+    journal.runs.push(run);
+    journal.runs = journal.runs.slice(-JOURNAL_MAX_RUNS);
+}
+
+// A run collects the changes of one operation; it is written when saveJournalRun is called
+function startJournalRun(description) {
+    return { script: JOURNAL_SCRIPT, description, date: new Date().toISOString(), changes: [] };
+}
+
+function captureItemState(item) {
+    return { creators: item.getCreators().map(creator => ({ ...creator })) };
+}
+
+function recordJournalChange(run, item, before) {
+    const after = captureItemState(item);
+    if (JSON.stringify(before) !== JSON.stringify(after)) {
+        run.changes.push({ libraryID: item.libraryID, key: item.key, before, after });
+    }
+}
+
+async function saveJournalRun(run) {
+    if (!run.changes.length) return;
+    try {
+        const journal = await loadJournal();
+        if (!journal) {
+            throw new Error(`${getJournalFilePath()} could not be read or has a newer format`);
+        }
+        addJournalRun(journal, run);
+        await saveJournal(journal);
+        console.log(`Recorded ${run.changes.length} change(s) as run ${run.id} in ${getJournalFilePath()}`);
+    } catch (error) {
+        console.error(`Could not write the change journal: ${error.message}`);
+        alert(`The changes were made, but could not be recorded for undo: ${error.message}`);
+    }
+}
+
+function formatJournalRun(run) {
+    const date = new Date(run.date).toLocaleString();
+    return `${run.id}. ${date} - ${run.description} (${run.changes.length} item(s))`;
+}
+
+async function restoreItemState(item, state) {
+    item.setCreators(state.creators);
+    await item.saveTx();
+}
+
+// Undo the last run of this script, or the run the user picks; items changed again since the run
+// are only restored after confirmation. Changes that cannot be undone stay in the journal. The undo
+// is recorded as a run of its own, so it can be undone in turn.
+async function undoJournalRun() {
+    const journal = await loadJournal();
+    if (!journal) {
+        alert(`The change journal ${getJournalFilePath()} could not be read, or was written in a newer format. Nothing was undone.`);
+        return;
+    }
+
+    const scriptRuns = journal.runs.filter(r => r.script === JOURNAL_SCRIPT);
+    if (!scriptRuns.length) {
+        alert(`There are no recorded ${JOURNAL_SCRIPT} changes to undo.`);
+        return;
+    }
+
+    const recentRuns = scriptRuns.slice(-15).reverse();
+    const lastRun = recentRuns[0];
+    const runChoice = prompt(`Recent ${JOURNAL_SCRIPT} runs (newest first):\n\n${recentRuns.map(formatJournalRun).join('\n')}\n\nEnter the number of the run to undo (default: the last run):`, String(lastRun.id));
+    if (runChoice === null) return;
+
+    const run = scriptRuns.find(r => r.id === parseInt(runChoice, 10));
+    if (!run) {
+        alert(`There is no ${JOURNAL_SCRIPT} run ${runChoice} in the change journal.`);
+        return;
+    }
+
+    // An item changed more than once in the run is compared with its last change only
+    const lastChanges = new Map(run.changes.map(change => [`${change.libraryID}/${change.key}`, change]));
+    const changes = [];
+    const changedSince = [];
+    let missingCount = 0;
+    for (const change of run.changes) {
+        const item = await Zotero.Items.getByLibraryAndKeyAsync(change.libraryID, change.key);
+        if (!item) {
+            missingCount++;
+            continue;
+        }
+        changes.push({ change, item });
+        if (lastChanges.get(`${change.libraryID}/${change.key}`) !== change) continue;
+        const current = captureItemState(item);
+        if (JSON.stringify(current) !== JSON.stringify(change.after)) {
+            changedSince.push(item);
+        }
+    }
+
+    let confirmationMessage = `Undo run ${run.id}?\n\n${formatJournalRun(run)}\n\n${changes.length} item(s) will be restored to their previous values.`;
+    if (missingCount) {
+        confirmationMessage += `\n${missingCount} item(s) no longer exist and will be skipped.`;
+    }
+    if (!confirm(confirmationMessage)) return;
+
+    let restoreChangedSince = true;
+    if (changedSince.length) {
+        restoreChangedSince = confirm(`${changedSince.length} item(s) were changed again after this run.\n\nPress OK to restore them anyway (later changes to the same values are lost), or Cancel to leave them as they are.`);
+    }
+
+    const undoRun = startJournalRun(`Undo of run ${run.id}: ${run.description}`);
+    undoRun.undoneRunID = run.id;
+    const remainingChanges = [];
+    let restoredCount = 0;
+    // Restore in reverse order, in case a run changed the same item more than once
+    for (const { change, item } of changes.reverse()) {
+        if (!restoreChangedSince && changedSince.includes(item)) {
+            remainingChanges.unshift(change);
+            continue;
+        }
+        try {
+            const before = captureItemState(item);
+            await restoreItemState(item, change.before);
+            recordJournalChange(undoRun, item, before);
+            restoredCount++;
+        } catch (error) {
+            console.error(`Could not restore item ${item.id}: ${error.message}`);
+            remainingChanges.unshift(change);
+        }
+    }
+
+    // Undone changes leave the run; the undo itself is added as a new run
+    const currentJournal = await loadJournal();
+    if (currentJournal) {
+        const journalRun = currentJournal.runs.find(r => r.id === run.id);
+        if (journalRun) {
+            journalRun.changes = remainingChanges;
+        }
+        currentJournal.runs = currentJournal.runs.filter(r => r.changes.length);
+        if (undoRun.changes.length) {
+            addJournalRun(currentJournal, undoRun);
+        }
+        try {
+            await saveJournal(currentJournal);
+        } catch (error) {
+            console.error(`Could not write the change journal: ${error.message}`);
+        }
+    }
+
+    alert(`Run ${run.id} undone: ${restoredCount} item(s) restored.${remainingChanges.length ? `\n\n${remainingChanges.length} item(s) were not restored and remain in the change journal.` : ''}${undoRun.id ? `\n\nThe undo was recorded as run ${undoRun.id}, so it can be undone as well.` : ''}`);
+}
+
 async function getItemsToEdit() {
     try {
         const zoteroPane = Zotero.getActiveZoteroPane();
@@ -269,3 +863,282 @@ async function getItemsToEdit() {
         return null;
     }
 }
+
+// Name authority file: canonical names with an optional ORCID and their known variants
+// {"version": 1, "authorities": [{"firstName": "John", "lastName": "Doe", "orcid": "", "variants": ["J. Doe"]}]}
+const AUTHORITY_FILE = 'name-authority.json';
+
+function getAuthorityFilePath() {
+    return PathUtils.join(Zotero.DataDirectory.dir, AUTHORITY_FILE);
+}
+
+function getNameKey(name) {
+    return name.trim().normalize().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function getAuthorityNameKey(entry) {
+    return getNameKey(`${entry.firstName || ""} ${entry.lastName || ""}`);
+}
+
+async function loadAuthority() {
+    const path = getAuthorityFilePath();
+    let entries = [];
+
+    try {
+        if (await IOUtils.exists(path)) {
+            const data = JSON.parse(await Zotero.File.getContentsAsync(path));
+            entries = Array.isArray(data.authorities) ? data.authorities : [];
+        }
+    } catch (error) {
+        console.error(`Could not read the name authority file ${path}: ${error.message}`);
+        alert(`Could not read the name authority file (${error.message}).\nContinuing without it.`);
+    }
+
+    // Canonical names and variants both point to their entry
+    const byName = new Map();
+    for (const entry of entries) {
+        byName.set(getAuthorityNameKey(entry), entry);
+        for (const variant of entry.variants || []) {
+            byName.set(getNameKey(variant), entry);
+        }
+    }
+
+    return { entries, byName };
+}
+
+async function saveAuthority(authority) {
+    const data = { version: 1, authorities: authority.entries };
+    await Zotero.File.putContentsAsync(getAuthorityFilePath(), JSON.stringify(data, null, 2));
+}
+
+// Ask for the ORCID iD of a canonical name; returns "" if none is entered
+function promptOrcid(canonicalName) {
+    let input = "";
+    while (true) {
+        input = prompt(`ORCID iD of "${canonicalName}" for the name authority file (optional, e.g. 0000-0002-1825-0097).\nLeave empty to skip:`, input);
+        if (input === null || !input.trim()) return "";
+
+        const match = input.trim().match(/^(?:https?:\/\/orcid\.org\/)?(\d{4}-\d{4}-\d{4}-\d{3}[\dX])$/i);
+        if (match) return match[1].toUpperCase();
+        alert(`"${input.trim()}" is not an ORCID iD. It has four groups of four digits, e.g. 0000-0002-1825-0097 (the last character can be X).`);
+    }
+}
+
+// Add the variants to the canonical name's entry; a variant belongs to one name only,
+// so a later decision moves it
+function recordAuthorityDecision(authority, firstName, lastName, variantNames, orcid = "") {
+    const canonicalKey = getNameKey(`${firstName} ${lastName}`);
+    let entry = authority.entries.find(other => getAuthorityNameKey(other) === canonicalKey);
+    if (!entry) {
+        entry = { firstName, lastName, orcid: "", variants: [] };
+        authority.entries.push(entry);
+    }
+    if (orcid) {
+        entry.orcid = orcid;
+    }
+    entry.variants = entry.variants || [];
+    authority.byName.set(canonicalKey, entry);
+
+    for (const variant of variantNames) {
+        const key = getNameKey(variant);
+        if (key === canonicalKey) continue;
+
+        for (const other of authority.entries) {
+            if (other !== entry && other.variants) {
+                other.variants = other.variants.filter(otherVariant => getNameKey(otherVariant) !== key);
+            }
+        }
+        if (!entry.variants.some(existing => getNameKey(existing) === key)) {
+            entry.variants.push(variant);
+        }
+        authority.byName.set(key, entry);
+    }
+}
+
+function formatAuthorityMark(entity, authority) {
+    const entry = authority.byName.get(getNameKey(entity.fullName));
+    if (!entry || getAuthorityNameKey(entry) !== getNameKey(entity.fullName)) return "";
+    return entry.orcid ? ` [authority name, ORCID ${entry.orcid}]` : " [authority name]";
+}
+
+// Names whose spelling the authority file maps to a different canonical name
+function findAuthorityChanges(entities, authority) {
+    const changes = [];
+    for (const entity of entities) {
+        const entry = authority.byName.get(getNameKey(entity.fullName));
+        if (entry && getAuthorityNameKey(entry) !== getNameKey(entity.fullName)) {
+            changes.push({ entity, entry });
+        }
+    }
+    return changes;
+}
+
+function formatAuthorityChange({ entity, entry }) {
+    const orcid = entry.orcid ? ` (ORCID ${entry.orcid})` : "";
+    return `${entity.displayName} -> ${`${entry.firstName || ""} ${entry.lastName || ""}`.trim()}${orcid} [${entity.items.size} items]`;
+}
+
+async function applyAuthorityChanges(changes) {
+    let updatedItems = 0;
+    const journalRun = startJournalRun("Apply the name authority file");
+    for (const { entity, entry } of changes) {
+        for (const item of entity.items) {
+            await updateCreatorNames(item, entity, entry.firstName || "", entry.lastName || "", false, journalRun);
+            updatedItems++;
+        }
+        console.log(`Authority: ${formatAuthorityChange({ entity, entry })}`);
+    }
+    await saveJournalRun(journalRun);
+    return updatedItems;
+}
+
+async function applyAuthority(items, authority, creatorTypes = null) {
+    if (authority.entries.length === 0) return;
+
+    const changes = findAuthorityChanges(buildNameEntities(items, creatorTypes), authority);
+    if (changes.length === 0) return;
+
+    const sample = changes.slice(0, 10).map(formatAuthorityChange).join('\n');
+    const more = changes.length > 10 ? `\n... and ${changes.length - 10} more` : "";
+    if (!confirm(`The name authority file has a canonical form for ${changes.length} names in these items:\n${sample}${more}\n\nRename them before detecting similar names?`)) {
+        return;
+    }
+
+    const updatedItems = await applyAuthorityChanges(changes);
+    console.log(`Applied ${changes.length} authority names (${updatedItems} item updates)`);
+}
+
+// Rewrite every creator in the current library whose spelling is a known variant
+async function normalizeAgainstAuthority() {
+    const authority = await loadAuthority();
+    if (authority.entries.length === 0) {
+        alert(`The name authority file is empty or missing.\n\nFile: ${getAuthorityFilePath()}\n\nNames you choose while reviewing similar names are added to it.`);
+        return;
+    }
+
+    const libraryID = Zotero.getActiveZoteroPane().getSelectedLibraryID();
+    const items = (await Zotero.Items.getAll(libraryID)).filter(item => item.isRegularItem());
+    const changes = findAuthorityChanges(buildNameEntities(items), authority);
+    if (changes.length === 0) {
+        alert(`All names in ${items.length} items already match the name authority file.`);
+        return;
+    }
+
+    const itemCount = changes.reduce((sum, change) => sum + change.entity.items.size, 0);
+    const sample = changes.slice(0, 10).map(formatAuthorityChange).join('\n');
+    const more = changes.length > 10 ? `\n... and ${changes.length - 10} more` : "";
+    if (!confirm(`${changes.length} name variants in ${itemCount} items will be renamed:\n${sample}${more}\n\nContinue?`)) {
+        return;
+    }
+
+    const updatedItems = await applyAuthorityChanges(changes);
+    alert(`Renamed ${changes.length} name variants (${updatedItems} item updates).`);
+}
+
+// Swapped first/last names and "Last, First" stored in a single field, checked against
+// the other occurrences of the same person in the library
+async function detectNameOrderIssues(items, creatorTypes = null) {
+    const libraryItems = (await Zotero.Items.getAll(items[0].libraryID)).filter(item => item.isRegularItem());
+    // Occurrences in every role count when looking for the usual spelling of a person
+    const libraryEntities = buildNameEntities(libraryItems);
+    const libraryCounts = new Map(libraryEntities.map(entity => [entity.fullName, entity.count]));
+
+    // Two-field names in the library by surname
+    const bySurname = new Map();
+    for (const entity of libraryEntities) {
+        if (entity.spelling.fieldMode === 1) continue;
+        const surname = parseName(entity).surname;
+        if (!bySurname.has(surname)) bySurname.set(surname, []);
+        bySurname.get(surname).push(entity);
+    }
+    const findSamePerson = (firstName, lastName) => {
+        const name = normalizeCreator({ firstName, lastName });
+        return (bySurname.get(parseName(name).surname) || [])
+            .filter(other => matchNameVariants(name, other))
+            .sort((a, b) => b.count - a.count)[0] || null;
+    };
+
+    const issues = [];
+    for (const entity of buildNameEntities(items, creatorTypes)) {
+        const { firstName, lastName, fieldMode } = entity.spelling;
+
+        if (fieldMode === 1) {
+            const split = splitSingleFieldName(lastName);
+            if (split) {
+                issues.push({ type: 'singleField', entity, ...split, match: findSamePerson(split.firstName, split.lastName) });
+            }
+            continue;
+        }
+
+        // Only a swap if the person is more often written the other way round
+        const match = firstName && lastName ? findSamePerson(lastName, firstName) : null;
+        if (match && match.count > (libraryCounts.get(entity.fullName) || 0)) {
+            issues.push({ type: 'swap', entity, firstName: lastName, lastName: firstName, match });
+        }
+    }
+
+    console.log(`Found ${issues.length} name order issues in ${items.length} items`);
+    return issues;
+}
+
+const INSTITUTION_WORDS = /\b(association|center|centre|college|committee|company|corp|council|department|foundation|group|inc|institute|laboratory|ltd|ministry|office|press|school|society|university)\b/i;
+
+// "Smith, John" -> { firstName: "John", lastName: "Smith" }; long names and names with
+// institution words are left alone ("University of California, Berkeley")
+function splitSingleFieldName(name) {
+    const parts = name.split(',').map(part => part.trim());
+    if (parts.length !== 2 || !parts[0] || !parts[1]) return null;
+    if (parts[0].split(/\s+/).length > 3 || parts[1].split(/\s+/).length > 3) return null;
+    if (INSTITUTION_WORDS.test(name)) return null;
+    if (/^(jr|sr|ii|iii|iv)\.?$/i.test(parts[1])) return null;
+    return { firstName: parts[1], lastName: parts[0] };
+}
+
+function formatNameOrderIssue(issue) {
+    const { entity, match } = issue;
+    const before = issue.type === 'swap'
+        ? `last "${entity.spelling.lastName}", first "${entity.spelling.firstName}"`
+        : `"${entity.spelling.lastName}" (single field)`;
+    const seenAs = match ? `, written as ${match.displayName} ${match.count} times` : "";
+    return `${before} -> last "${issue.lastName}", first "${issue.firstName}" [${entity.items.size} items${seenAs}]`;
+}
+
+async function handleNameOrderIssues(issues) {
+    if (issues.length === 0) {
+        alert("No swapped first/last names or single-field names with a comma found.");
+        return;
+    }
+
+    const swaps = issues.filter(issue => issue.type === 'swap');
+    const singleField = issues.filter(issue => issue.type === 'singleField');
+    const confirmed = issues.filter(issue => issue.match);
+
+    let action;
+    do {
+        const sample = issues.slice(0, 5).map(formatNameOrderIssue).join('\n');
+        action = prompt(`Found ${swaps.length} likely swapped first/last names and ${singleField.length} single-field names with a comma (${confirmed.length} of all match the same person elsewhere in the library). Here are some examples:\n${sample}\n\nChoose an action:\n1. Fix all\n2. Fix only names that match the same person elsewhere\n3. Show all\n4. Ignore\n\n(Press Cancel to skip)`);
+
+        const sanitizedAction = action ? action.trim() : null;
+
+        if (sanitizedAction === '1' || sanitizedAction === '2') {
+            const toFix = sanitizedAction === '1' ? issues : confirmed;
+            let updatedItems = 0;
+            const journalRun = startJournalRun("Fix swapped and single-field names");
+            for (const issue of toFix) {
+                for (const item of issue.entity.items) {
+                    await updateCreatorNames(item, issue.entity, issue.firstName, issue.lastName, issue.type === 'singleField', journalRun);
+                    updatedItems++;
+                }
+            }
+            await saveJournalRun(journalRun);
+            alert(`Fixed ${toFix.length} names (${updatedItems} item updates).`);
+        } else if (sanitizedAction === '3') {
+            alert(`All name order issues:\n${issues.map(formatNameOrderIssue).join('\n')}`);
+        } else {
+            console.log("Ignored all name order issues.");
+        }
+    } while (action === '3');
+}
+
+// Started last, so that the constants declared throughout this file are initialized
+main();
@@ -2,6 +2,194 @@
     const startTime = performance.now();
     const promptedValues = new Map(); // Map to keep track of prompted values and user responses
 
+    // Change journal: titles and short titles before and after each case conversion. The journal
+    // file is also written by the other editing scripts, so runs are filtered by script name.
+    const JOURNAL_FILE = 'change-journal.json';
+    const JOURNAL_VERSION = 1;
+    const JOURNAL_MAX_RUNS = 50;
+    const JOURNAL_SCRIPT = "Text Case";
+
+    function getJournalFilePath() {
+        return PathUtils.join(Zotero.DataDirectory.dir, JOURNAL_FILE);
+    }
+
+    // Returns null if the journal cannot be read or has a format this script does not know,
+    // so that it is never overwritten
+    async function loadJournal() {
+        const path = getJournalFilePath();
+        try {
+            if (!(await IOUtils.exists(path))) return { version: JOURNAL_VERSION, runs: [] };
+            const journal = JSON.parse(await Zotero.File.getContentsAsync(path));
+            if (journal.version !== JOURNAL_VERSION || !Array.isArray(journal.runs)) {
+                console.error(`The change journal ${path} has format version ${journal.version}; this script reads version ${JOURNAL_VERSION}`);
+                return null;
+            }
+            return journal;
+        } catch (error) {
+            console.error(`Could not read the change journal ${path}: ${error.message}`);
+            return null;
+        }
+    }
+
+    async function saveJournal(journal) {
+        await Zotero.File.putContentsAsync(getJournalFilePath(), JSON.stringify(journal, null, 2));
+    }
+
+    // Run IDs are never reused, so an undo run keeps pointing at the run it undid
+    function addJournalRun(journal, run) {
+        run.id = Math.max(journal.lastRunID || 0, ...journal.runs.map(r => r.id)) + 1;
+        journal.lastRunID = run.id;
+        journal.runs.push(run);
+        journal.runs = journal.runs.slice(-JOURNAL_MAX_RUNS);
+    }
+
+    // A run collects the changes of one operation; it is written when saveJournalRun is called
+    function startJournalRun(description) {
+        return { script: JOURNAL_SCRIPT, description, date: new Date().toISOString(), changes: [] };
+    }
+
+    function captureItemState(item, fieldNames) {
+        const state = { fields: {} };
+        for (const fieldName of fieldNames) {
+            state.fields[fieldName] = item.getField(fieldName) || "";
+        }
+        return state;
+    }
+
+    function recordJournalChange(run, item, before) {
+        const after = captureItemState(item, Object.keys(before.fields));
+        if (JSON.stringify(before) !== JSON.stringify(after)) {
+            run.changes.push({ libraryID: item.libraryID, key: item.key, before, after });
+        }
+    }
+
+    async function saveJournalRun(run) {
+        if (!run.changes.length) return;
+        try {
+            const journal = await loadJournal();
+            if (!journal) {
+                throw new Error(`${getJournalFilePath()} could not be read or has a newer format`);
+            }
+            addJournalRun(journal, run);
+            await saveJournal(journal);
+            console.log(`Recorded ${run.changes.length} change(s) as run ${run.id} in ${getJournalFilePath()}`);
+        } catch (error) {
+            console.error(`Could not write the change journal: ${error.message}`);
+            alert(`The changes were made, but could not be recorded for undo: ${error.message}`);
+        }
+    }
+
+    function formatJournalRun(run) {
+        const date = new Date(run.date).toLocaleString();
+        return `${run.id}. ${date} - ${run.description} (${run.changes.length} item(s))`;
+    }
+
+    async function restoreItemState(item, state) {
+        for (const [fieldName, value] of Object.entries(state.fields)) {
+            item.setField(fieldName, value);
+        }
+        await item.saveTx();
+    }
+
+    // Undo the last run of this script, or the run the user picks; items changed again since the run
+    // are only restored after confirmation. Changes that cannot be undone stay in the journal. The undo
+    // is recorded as a run of its own, so it can be undone in turn.
+    async function undoJournalRun() {
+        const journal = await loadJournal();
+        if (!journal) {
+            alert(`The change journal ${getJournalFilePath()} could not be read, or was written in a newer format. Nothing was undone.`);
+            return;
+        }
+
+        const scriptRuns = journal.runs.filter(r => r.script === JOURNAL_SCRIPT);
+        if (!scriptRuns.length) {
+            alert(`There are no recorded ${JOURNAL_SCRIPT} changes to undo.`);
+            return;
+        }
+
+        const recentRuns = scriptRuns.slice(-15).reverse();
+        const lastRun = recentRuns[0];
+        const runChoice = prompt(`Recent ${JOURNAL_SCRIPT} runs (newest first):\n\n${recentRuns.map(formatJournalRun).join('\n')}\n\nEnter the number of the run to undo (default: the last run):`, String(lastRun.id));
+        if (runChoice === null) return;
+
+        const run = scriptRuns.find(r => r.id === parseInt(runChoice, 10));
+        if (!run) {
+            alert(`There is no ${JOURNAL_SCRIPT} run ${runChoice} in the change journal.`);
+            return;
+        }
+
+        // An item changed more than once in the run is compared with its last change only
+        const lastChanges = new Map(run.changes.map(change => [`${change.libraryID}/${change.key}`, change]));
+        const changes = [];
+        const changedSince = [];
+        let missingCount = 0;
+        for (const change of run.changes) {
+            const item = await Zotero.Items.getByLibraryAndKeyAsync(change.libraryID, change.key);
+            if (!item) {
+                missingCount++;
+                continue;
+            }
+            changes.push({ change, item });
+            if (lastChanges.get(`${change.libraryID}/${change.key}`) !== change) continue;
+            const current = captureItemState(item, Object.keys(change.after.fields));
+            if (JSON.stringify(current) !== JSON.stringify(change.after)) {
+                changedSince.push(item);
+            }
+        }
+
+        let confirmationMessage = `Undo run ${run.id}?\n\n${formatJournalRun(run)}\n\n${changes.length} item(s) will be restored to their previous values.`;
+        if (missingCount) {
+            confirmationMessage += `\n${missingCount} item(s) no longer exist and will be skipped.`;
+        }
+        if (!confirm(confirmationMessage)) return;
+
+        let restoreChangedSince = true;
+        if (changedSince.length) {
+            restoreChangedSince = confirm(`${changedSince.length} item(s) were changed again after this run.\n\nPress OK to restore them anyway (later changes to the same values are lost), or Cancel to leave them as they are.`);
+        }
+
+        const undoRun = startJournalRun(`Undo of run ${run.id}: ${run.description}`);
+        undoRun.undoneRunID = run.id;
+        const remainingChanges = [];
+        let restoredCount = 0;
+        // Restore in reverse order, in case a run changed the same item more than once
+        for (const { change, item } of changes.reverse()) {
+            if (!restoreChangedSince && changedSince.includes(item)) {
+                remainingChanges.unshift(change);
+                continue;
+            }
+            try {
+                const before = captureItemState(item, Object.keys(change.before.fields));
+                await restoreItemState(item, change.before);
+                recordJournalChange(undoRun, item, before);
+                restoredCount++;
+            } catch (error) {
+                console.error(`Could not restore item ${item.id}: ${error.message}`);
+                remainingChanges.unshift(change);
+            }
+        }
+
+        // Undone changes leave the run; the undo itself is added as a new run
+        const currentJournal = await loadJournal();
+        if (currentJournal) {
+            const journalRun = currentJournal.runs.find(r => r.id === run.id);
+            if (journalRun) {
+                journalRun.changes = remainingChanges;
+            }
+            currentJournal.runs = currentJournal.runs.filter(r => r.changes.length);
+            if (undoRun.changes.length) {
+                addJournalRun(currentJournal, undoRun);
+            }
+            try {
+                await saveJournal(currentJournal);
+            } catch (error) {
+                console.error(`Could not write the change journal: ${error.message}`);
+            }
+        }
+
+        alert(`Run ${run.id} undone: ${restoredCount} item(s) restored.${remainingChanges.length ? `\n\n${remainingChanges.length} item(s) were not restored and remain in the change journal.` : ''}${undoRun.id ? `\n\nThe undo was recorded as run ${undoRun.id}, so it can be undone as well.` : ''}`);
+    }
+
     try {
         const zoteroPane = Zotero.getActiveZoteroPane();
 
@@ -109,11 +297,16 @@
         }
 
         const editOption = await getValidInput(
-            "Enter '1' to edit only selected items, '2' to edit all items in the current collection, or '3' to edit all items in a saved search:",
-            ['1', '2', '3']
+            "Enter '1' to edit only selected items, '2' to edit all items in the current collection, '3' to edit all items in a saved search, or '4' to undo a previous run:",
+            ['1', '2', '3', '4']
         );
         logTime("Time to get valid edit option", performance.now() - startTime);
 
+        if (editOption === '4') {
+            await undoJournalRun();
+            return;
+        }
+
         const itemsToEdit = await getItemsToEdit(editOption, zoteroPane);
         if (!itemsToEdit || !itemsToEdit.length) {
             Zotero.alert(null, "No items found", "No items found to edit based on your selection.");
@@ -157,10 +350,15 @@
         }
         console.log(confirmationMessage);
 
+        const caseNames = { '1': 'Title Case', '2': 'Sentence Case', '3': 'Upper Case', '4': 'Lower Case' };
+        const journalFields = { '1': ['title'], '2': ['shortTitle'], '3': ['title', 'shortTitle'] }[fieldOption];
+        const journalRun = startJournalRun(`${caseNames[caseOption]} for ${journalFields.join(' and ')}`);
+
         const batchEditPromises = [];
         for (let index = 0; index < itemsToEdit.length; index++) {
             const item = itemsToEdit[index];
             if (!item.isNote()) {
+                const before = captureItemState(item, journalFields);
                 if (fieldOption === '1' || fieldOption === '3') {
                     const oldTitle = item.getField('title');
                     const newTitle = caseFunction(oldTitle, index + 1, itemsToEdit.length);
@@ -173,11 +371,12 @@
                     item.setField('shortTitle', newShortTitle);
                     console.log(`Updated short title of item ${item.id}: "${oldShortTitle}" to "${newShortTitle}"`);
                 }
-                batchEditPromises.push(item.saveTx());
+                batchEditPromises.push(item.saveTx().then(() => recordJournalChange(journalRun, item, before)));
             }
         }
 
         await Promise.all(batchEditPromises);
+        await saveJournalRun(journalRun);
         Zotero.alert(null, "Title Case Update Complete", "The titles of the selected items have been updated.");
 
     } catch (error) {